@@ -0,0 +1,64 @@
+/**
+ * Auth failure counters for the simulate gateway, served on GET /metrics. Every UNAUTHORIZED / FORBIDDEN answer
+ * (rejected by the gateway or returned by the workflow) is counted by details.reason and by source (client IP).
+ * A source that fails repeatThreshold times within windowMs is flagged as repeated and logged once per window,
+ * so brute-force attempts and misconfigured callers show up without reading every request log.
+ */
+
+export interface AuthFailureSnapshot {
+  total: number;
+  byReason: Record<string, number>;
+  /** Times a source crossed repeatThreshold within the window. */
+  repeated: number;
+  /** Sources with failures in the current window, most failures first. */
+  sources: { source: string; failures: number }[];
+}
+
+export function createAuthFailureCounters(options: { windowMs: number; repeatThreshold: number; maxSources: number }) {
+  let total = 0;
+  let repeated = 0;
+  const byReason = new Map<string, number>();
+  /** source -> failure times (ms) within the window. */
+  const recent = new Map<string, number[]>();
+
+  function prune(now: number): void {
+    for (const [source, times] of recent) {
+      const kept = times.filter((t) => t > now - options.windowMs);
+      if (kept.length === 0) recent.delete(source);
+      else recent.set(source, kept);
+    }
+    /** Map keeps insertion order: drop the oldest sources once over capacity. */
+    while (recent.size > options.maxSources) {
+      const oldest = recent.keys().next().value;
+      if (oldest === undefined) break;
+      recent.delete(oldest);
+    }
+  }
+
+  /** Count one failure; returns true when it makes the source cross repeatThreshold. */
+  function record(source: string, reason: string, now: number = Date.now()): boolean {
+    total += 1;
+    byReason.set(reason, (byReason.get(reason) ?? 0) + 1);
+    const times = [...(recent.get(source) ?? []).filter((t) => t > now - options.windowMs), now];
+    recent.delete(source);
+    recent.set(source, times);
+    prune(now);
+    if (times.length !== options.repeatThreshold) return false;
+    repeated += 1;
+    return true;
+  }
+
+  function snapshot(now: number = Date.now()): AuthFailureSnapshot {
+    prune(now);
+    return {
+      total,
+      byReason: Object.fromEntries(byReason),
+      repeated,
+      sources: [...recent]
+        .map(([source, times]) => ({ source, failures: times.length }))
+        .sort((a, b) => b.failures - a.failures),
+    };
+  }
+
+  return { record, snapshot };
+}
@@ -0,0 +1,77 @@
+/**
+ * Local idempotency store for the simulate gateway. A POST with body.idempotencyKey runs the workflow once:
+ * a repeat of the same key and body gets the stored response back (Idempotent-Replayed: true), a repeat while the
+ * first is still running waits for it, and the same key with a different body is refused.
+ * Responses with status >= 500 are not kept, so a retry after a crash or failed tx runs again.
+ */
+
+import { createHash } from "crypto";
+import { canonicalBody } from "../markets/lib/httpMiddleware";
+
+export interface StoredResponse {
+  status: number;
+  body: unknown;
+}
+
+export type IdempotentRun =
+  | { kind: "fresh"; response: StoredResponse }
+  | { kind: "replayed"; response: StoredResponse }
+  | { kind: "conflict" };
+
+interface Entry {
+  fingerprint: string;
+  expiresAt: number;
+  pending: Promise<StoredResponse>;
+}
+
+/**
+ * sha256 of canonicalBody, the form HMAC auth signs: keys sorted at every depth, auth / apiKey dropped (credentials
+ * may rotate and an HMAC retry is re-signed). A reused key with a different request is detected; a retry that
+ * only reorders nested keys is not a conflict.
+ */
+export function requestFingerprint(body: Record<string, unknown>): string {
+  return createHash("sha256").update(canonicalBody(body)).digest("hex");
+}
+
+export function createIdempotencyStore(options: { ttlMs: number; maxEntries: number }) {
+  const entries = new Map<string, Entry>();
+
+  function prune(now: number): void {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+    /** Map keeps insertion order: drop the oldest once over capacity. */
+    while (entries.size > options.maxEntries) {
+      const oldest = entries.keys().next().value;
+      if (oldest === undefined) break;
+      entries.delete(oldest);
+    }
+  }
+
+  async function run(
+    key: string,
+    fingerprint: string,
+    execute: () => Promise<StoredResponse>
+  ): Promise<IdempotentRun> {
+    const now = Date.now();
+    prune(now);
+    const existing = entries.get(key);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) return { kind: "conflict" };
+      return { kind: "replayed", response: await existing.pending };
+    }
+
+    const pending = execute();
+    entries.set(key, { fingerprint, expiresAt: now + options.ttlMs, pending });
+    try {
+      const response = await pending;
+      if (response.status >= 500) entries.delete(key);
+      return { kind: "fresh", response };
+    } catch (err) {
+      entries.delete(key);
+      throw err;
+    }
+  }
+
+  return { run, size: () => entries.size };
+}
@@ -6,9 +6,43 @@
  *
  * Auth: set CRE_API_KEY (from cre.chain.link → Organization → APIs) at runtime so the CLI is logged in.
  * All simulate stdout/stderr (including workflow runtime.log) are logged to the gateway console.
+ *
+ * Errors: the workflow returns { ok: false, code, message, details } (markets/lib/errors.ts); the gateway answers
+ * with the HTTP status for that code (400 validation, 401 auth, 404 not found, 409 nonce/market conflict,
+ * 422 precondition or receiver revert, 502 tx/upstream failure, 500 internal). A simulate crash is INTERNAL.
+ *
+ * Idempotency: a body with idempotencyKey is simulated once per key; retries get the stored response
+ * (see idempotencyStore.ts). Keys are kept for CRE_IDEMPOTENCY_TTL_SECONDS (default 24h) in memory.
+ *
+ * Auth: the gateway authenticates each body itself with the workflow config's httpAuth (keys, mode; read from the
+ * CRE_TARGET config file) and the key secrets from env, because a replayed response never reaches the workflow.
+ * Stored responses are kept per key name, so one caller cannot replay another's. Scopes are enforced by the
+ * workflow. Each simulate is a new process, so the gateway also keeps the HMAC nonce cache: a nonce is accepted
+ * for one workflow run.
+ *
+ * Metrics: GET /metrics returns auth failure counters (authFailures.ts) by reason and client IP; a client that fails
+ * CRE_AUTH_FAILURE_THRESHOLD times within CRE_AUTH_FAILURE_WINDOW_SECONDS is logged as repeated.
  */
 
 import fs from "fs";
+import {
+  httpStatusForCode,
+  isCreErrorEnvelope,
+  toErrorEnvelope,
+  type CreErrorCode,
+  type CreErrorEnvelope,
+} from "../markets/lib/errors";
+import { readIdempotencyKey } from "../markets/lib/idempotency";
+import {
+  DEFAULT_HMAC_MAX_SKEW_SECONDS,
+  authenticateHttpBody,
+  createNonceCache,
+  type HttpPrincipal,
+} from "../markets/lib/httpMiddleware";
+import { httpAuthSchema } from "../markets/lib/configSchema";
+import type { HttpAuthConfig } from "../markets/types/config";
+import { createIdempotencyStore, requestFingerprint, type StoredResponse } from "./idempotencyStore";
+import { createAuthFailureCounters } from "./authFailures";
 
 const PORT = Number(process.env.PORT ?? "8080");
 const CRE_TARGET = process.env.CRE_TARGET ?? "staging-settings";
@@ -17,18 +51,103 @@ const WORKFLOW_DIR = "markets";
 const GATEWAY_BROADCAST_DEFAULT =
   process.env.CRE_GATEWAY_BROADCAST === "true" || process.env.CRE_GATEWAY_BROADCAST === "1";
 const RESULT_PREFIX = "Workflow Simulation Result:";
+const IDEMPOTENCY_TTL_MS = Number(process.env.CRE_IDEMPOTENCY_TTL_SECONDS ?? "86400") * 1000;
+const IDEMPOTENCY_MAX_ENTRIES = Number(process.env.CRE_IDEMPOTENCY_MAX_ENTRIES ?? "1000");
+/** config-path of each target in markets/workflow.yaml. */
+const TARGET_CONFIG_FILES: Record<string, string> = {
+  "staging-settings": "config.staging.json",
+  "docker-settings": "config.docker.json",
+  "production-settings": "config.production.json",
+};
+
+const idempotencyStore = createIdempotencyStore({ ttlMs: IDEMPOTENCY_TTL_MS, maxEntries: IDEMPOTENCY_MAX_ENTRIES });
+const hmacNonces = createNonceCache();
+const AUTH_FAILURE_WINDOW_MS = Number(process.env.CRE_AUTH_FAILURE_WINDOW_SECONDS ?? "600") * 1000;
+const AUTH_FAILURE_THRESHOLD = Number(process.env.CRE_AUTH_FAILURE_THRESHOLD ?? "5");
+const authFailures = createAuthFailureCounters({
+  windowMs: AUTH_FAILURE_WINDOW_MS,
+  repeatThreshold: AUTH_FAILURE_THRESHOLD,
+  maxSources: 1000,
+});
 
 function log(msg: string, meta?: Record<string, unknown>): void {
   const line = meta ? `${msg} ${JSON.stringify(meta)}` : msg;
   console.log(`[gateway] ${new Date().toISOString()} ${line}`);
 }
 
+/** httpAuth from the workflow config of CRE_TARGET; undefined (default key HTTP_API_KEY) when unreadable. */
+function loadHttpAuthConfig(): HttpAuthConfig | undefined {
+  const file = TARGET_CONFIG_FILES[CRE_TARGET];
+  if (!file) {
+    log("Unknown CRE_TARGET; gateway auth uses the default HTTP_API_KEY key", { target: CRE_TARGET });
+    return undefined;
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(`${WORKFLOW_DIR}/${file}`, "utf8")) as { httpAuth?: unknown };
+    return httpAuthSchema.parse(config.httpAuth);
+  } catch (err) {
+    log("Could not read httpAuth from workflow config; gateway auth uses the default HTTP_API_KEY key", {
+      file,
+      error: err instanceof Error ? err.message : String(err),
+    });
+    return undefined;
+  }
+}
+
+const HTTP_AUTH_CONFIG = loadHttpAuthConfig();
+const HMAC_MAX_SKEW_SECONDS = Number(
+  process.env.CRE_HMAC_MAX_SKEW_SECONDS ?? HTTP_AUTH_CONFIG?.maxSkewSeconds ?? DEFAULT_HMAC_MAX_SKEW_SECONDS
+);
+
+/** Success body when the simulate result is not JSON. */
 interface GatewayResponse {
-  ok: boolean;
-  result?: string;
-  raw?: string;
-  error?: string;
-  exitCode?: number;
+  ok: true;
+  result: string;
+  raw: string;
+  exitCode: number;
+}
+
+function errorResult(code: CreErrorCode, message: string, details: Record<string, unknown> = {}): StoredResponse {
+  const envelope: CreErrorEnvelope = { ok: false, code, message, details };
+  return { status: httpStatusForCode(code), body: envelope };
+}
+
+function toResponse(result: StoredResponse, headers: Record<string, string> = {}): Response {
+  return Response.json(result.body, { status: result.status, headers });
+}
+
+/** Same secrets the workflow reads (written to .env for simulate), by secret id. */
+function readEnvSecret(id: string): string {
+  return process.env[id]?.trim() ?? "";
+}
+
+/** Resolve the caller as the workflow would; throws CreError UNAUTHORIZED. The nonce is checked per run. */
+function authenticate(body: Record<string, unknown>): { principal: HttpPrincipal; nonce?: string } {
+  const config: HttpAuthConfig = { ...HTTP_AUTH_CONFIG, maxSkewSeconds: HMAC_MAX_SKEW_SECONDS };
+  return authenticateHttpBody(config, body, readEnvSecret, Date.now());
+}
+
+/** Record an HMAC nonce before a workflow run; a repeat is refused. */
+function claimNonce(nonce: string | undefined): StoredResponse | undefined {
+  if (nonce == null || hmacNonces.remember(nonce, Date.now(), 2 * HMAC_MAX_SKEW_SECONDS * 1000)) return undefined;
+  return errorResult("UNAUTHORIZED", "Unauthorized: auth.nonce was already used");
+}
+
+/** Count an UNAUTHORIZED / FORBIDDEN answer against the client; log once when it starts failing repeatedly. */
+function recordAuthFailure(source: string, action: string | undefined, result: StoredResponse): void {
+  if (!isCreErrorEnvelope(result.body)) return;
+  const { code, details } = result.body;
+  if (code !== "UNAUTHORIZED" && code !== "FORBIDDEN") return;
+  const reason = typeof details?.reason === "string" ? details.reason : code.toLowerCase();
+  if (authFailures.record(source, reason)) {
+    log("Repeated auth failures", { source, action, reason, threshold: AUTH_FAILURE_THRESHOLD });
+  }
+}
+
+/** Last non-empty stderr line: the simulate CLI prints the workflow error there. */
+function lastErrorLine(stderr: string): string {
+  const lines = stderr.split("\n").map((l) => l.trim()).filter(Boolean);
+  return lines[lines.length - 1] ?? "cre workflow simulate failed";
 }
 
 function parseSimulateOutput(stdout: string, stderr: string): { result: string; raw: string } {
@@ -45,13 +164,18 @@ function parseSimulateOutput(stdout: string, stderr: string): { result: string;
 
 /** Env var names that secrets.yaml uses for simulation. CRE CLI loads these from .env in cwd. */
 const SECRET_ENV_KEYS = ["BACKEND_API_KEY", "BACKEND_SIGNER_PRIVATE_KEY", "HTTP_API_KEY", "CRE_ETH_PRIVATE_KEY", "CRE_API_KEY", "TEE_MASTER_ENCRYPTION_KEY"];
+/** Env vars written to .env for simulate: the fixed secrets plus each httpAuth key's secretId. */
+function secretEnvKeys(): string[] {
+  const keyIds = HTTP_AUTH_CONFIG?.keys?.map((k) => k.secretId) ?? [];
+  return [...new Set([...SECRET_ENV_KEYS, ...keyIds])];
+}
 /** Required for workflow; CRE_API_KEY is optional when using -v "$HOME/.cre:/root/.cre" for CLI auth. */
 const REQUIRED_SECRET_KEYS = ["BACKEND_API_KEY", "BACKEND_SIGNER_PRIVATE_KEY", "HTTP_API_KEY", "CRE_ETH_PRIVATE_KEY"];
 
 /** Log which secret env vars are set (masked) so we can verify Infisical injection. */
 function logSecretEnvStatus(): void {
   const status: Record<string, string> = {};
-  for (const key of SECRET_ENV_KEYS) {
+  for (const key of secretEnvKeys()) {
     const raw = process.env[key];
     if (raw == null || String(raw).trim() === "") {
       status[key] = "missing";
@@ -71,7 +195,7 @@ function logSecretEnvStatus(): void {
 function ensureEnvFileForCre(): void {
   const cwd = process.cwd();
   const lines: string[] = [];
-  for (const key of SECRET_ENV_KEYS) {
+  for (const key of secretEnvKeys()) {
     const value = process.env[key];
     if (value != null && String(value).trim() !== "") {
       const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
@@ -138,9 +262,50 @@ async function runSimulate(
   return { stdout, stderr, exitCode };
 }
 
+/** Simulate the workflow with `body` and turn its output (or error envelope) into a status + JSON body. */
+async function triggerWorkflow(body: unknown, action: string | undefined, broadcast: boolean): Promise<StoredResponse> {
+  const payload =
+    typeof body === "object" && body !== null ? JSON.stringify(body) : String(body);
+
+  const tmpPath = `/tmp/cre-payload-${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+  await Bun.write(tmpPath, payload);
+
+  try {
+    const { stdout, stderr, exitCode } = await runSimulate(tmpPath, broadcast);
+    try {
+      const f = await import("fs/promises");
+      await f.unlink(tmpPath);
+    } catch {
+      /* ignore */
+    }
+
+    const { result, raw } = parseSimulateOutput(stdout, stderr);
+    if (exitCode !== 0) {
+      log("POST simulate failed", { action, exitCode, resultPreview: result.slice(0, 200) });
+      return errorResult("INTERNAL", lastErrorLine(stderr), { exitCode, raw: raw.slice(0, 4096) });
+    }
+    try {
+      const parsed = JSON.parse(result) as Record<string, unknown>;
+      if (isCreErrorEnvelope(parsed)) {
+        const status = httpStatusForCode(parsed.code);
+        log("POST action failed", { action, code: parsed.code, status });
+        return { status, body: parsed };
+      }
+      log("POST simulate ok", { action, status: 200 });
+      return { status: 200, body: parsed };
+    } catch {
+      log("POST simulate ok", { action, status: 200 });
+      return { status: 200, body: { ok: true, result, raw: raw.slice(0, 4096), exitCode } satisfies GatewayResponse };
+    }
+  } catch (err) {
+    log("POST error", { action, error: err instanceof Error ? err.message : String(err) });
+    return errorResult("INTERNAL", err instanceof Error ? err.message : String(err));
+  }
+}
+
 const server = Bun.serve({
   port: PORT,
-  async fetch(req) {
+  async fetch(req, server) {
     const url = new URL(req.url);
 
     if (req.method === "GET" && (url.pathname === "/health" || url.pathname === "/")) {
@@ -151,14 +316,18 @@ const server = Bun.serve({
       });
     }
 
+    if (req.method === "GET" && url.pathname === "/metrics") {
+      return Response.json({ authFailures: authFailures.snapshot(), idempotencyKeys: idempotencyStore.size() });
+    }
+
     if (req.method === "POST" && (url.pathname === "/" || url.pathname === "/trigger")) {
+      const source = server.requestIP(req)?.address ?? "unknown";
       let body: unknown;
       try {
         body = await req.json();
       } catch {
         log("POST invalid JSON", { path: url.pathname, status: 400 });
-        const res: GatewayResponse = { ok: false, error: "Invalid JSON body" };
-        return Response.json(res, { status: 400 });
+        return toResponse(errorResult("VALIDATION_FAILED", "Invalid JSON body"));
       }
 
       const action =
@@ -172,51 +341,39 @@ const server = Bun.serve({
         console.log("[gateway] createMarketsFromBackend without broadcast: no real chain write; set body.broadcast=true, CRE_MARKET_CRON_BROADCAST=true (backend), or CRE_GATEWAY_BROADCAST=true (gateway) for live txs.");
       }
 
-      const payload =
-        typeof body === "object" && body !== null ? JSON.stringify(body) : String(body);
-
-      const tmpPath = `/tmp/cre-payload-${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
-      await Bun.write(tmpPath, payload);
-
+      const fields = typeof body === "object" && body !== null ? (body as Record<string, unknown>) : {};
+      const respond = (result: StoredResponse, headers?: Record<string, string>) => {
+        recordAuthFailure(source, action, result);
+        return toResponse(result, headers);
+      };
+      let auth: { principal: HttpPrincipal; nonce?: string };
+      let idempotencyKey: string | undefined;
       try {
-        const { stdout, stderr, exitCode } = await runSimulate(tmpPath, broadcast);
-        try {
-          const f = await import("fs/promises");
-          await f.unlink(tmpPath);
-        } catch {
-          /* ignore */
-        }
-
-        const { result, raw } = parseSimulateOutput(stdout, stderr);
-        if (exitCode !== 0) {
-          log("POST simulate failed", { action, exitCode, resultPreview: result.slice(0, 200) });
-          const errResponse: GatewayResponse = {
-            ok: false,
-            result,
-            raw: raw.slice(0, 4096),
-            exitCode,
-            error: stderr.slice(0, 1024),
-          };
-          return Response.json(errResponse, { status: 502 });
-        }
-        log("POST simulate ok", { action, status: 200 });
-        try {
-          const parsed = JSON.parse(result) as Record<string, unknown>;
-          return Response.json(parsed, { status: 200 });
-        } catch {
-          return Response.json(
-            { ok: true, result, raw: raw.slice(0, 4096), exitCode } satisfies GatewayResponse,
-            { status: 200 }
-          );
-        }
+        auth = authenticate(fields);
+        idempotencyKey = readIdempotencyKey(action ?? "trigger", fields);
       } catch (err) {
-        log("POST error", { action, error: err instanceof Error ? err.message : String(err) });
-        const response: GatewayResponse = {
-          ok: false,
-          error: err instanceof Error ? err.message : String(err),
-        };
-        return Response.json(response, { status: 500 });
+        const envelope = toErrorEnvelope(err);
+        log("POST rejected", { action, code: envelope.code, status: httpStatusForCode(envelope.code) });
+        return respond({ status: httpStatusForCode(envelope.code), body: envelope });
+      }
+      const run = async () => claimNonce(auth.nonce) ?? triggerWorkflow(body, action, broadcast);
+      if (!idempotencyKey) return respond(await run());
+
+      const storeKey = `${auth.principal.name}:${idempotencyKey}`;
+      const outcome = await idempotencyStore.run(storeKey, requestFingerprint(fields), run);
+      if (outcome.kind === "conflict") {
+        log("POST idempotency key reused with a different body", { action, idempotencyKey, status: 409 });
+        return toResponse(
+          errorResult("IDEMPOTENCY_KEY_REUSED", "idempotencyKey was already used for a different request", {
+            idempotencyKey,
+          })
+        );
+      }
+      if (outcome.kind === "replayed") {
+        log("POST idempotent replay", { action, idempotencyKey, status: outcome.response.status });
+        return respond(outcome.response, { "Idempotent-Replayed": "true" });
       }
+      return respond(outcome.response);
     }
 
     log("not found", { method: req.method, path: url.pathname });
@@ -0,0 +1,106 @@
+/**
+ * HTTP action registry types: each action declares its payload schema, handler, optional backend callback path
+ * and whether it writes on-chain. main.ts dispatches from the registry (workflows/actions.ts), so validation,
+ * callbacks, dry-run support and the listActions response cannot drift from the set of actions.
+ */
+
+import type { ConfidentialHTTPClient, Runtime } from "@chainlink/cre-sdk";
+import { z } from "zod";
+import type { HttpScope, WorkflowConfig } from "../types/config";
+import type { WriteHandlerOptions } from "./dryRun";
+import { parseActionPayload } from "./payloadValidation";
+
+/** What a handler gets from main: the raw trigger payload plus the already-parsed body. */
+export interface ActionContext {
+  runtime: Runtime<WorkflowConfig>;
+  payload: { input: Uint8Array };
+  body: Record<string, unknown>;
+  client: ConfidentialHTTPClient;
+  writeOptions: WriteHandlerOptions;
+}
+
+export interface ActionDefinition {
+  /** One line for listActions. */
+  description: string;
+  /** Body schema (lib/actionSchemas.ts), checked before the handler runs; unknown keys are dropped. */
+  schema: z.ZodTypeAny;
+  handler: (ctx: ActionContext) => unknown;
+  /** Backend path the result is POSTed to (e.g. /api/cre/quote). Omitted: no callback. */
+  callbackPath?: string;
+  /** Key scopes allowed to call the action (any one suffices); checked in main.ts before validation. */
+  scopes: readonly HttpScope[];
+  /** True when the action sends a report / transaction on-chain. */
+  writesOnChain: boolean;
+  /** True when the action honours body.dryRun (see lib/dryRun.ts). */
+  supportsDryRun?: boolean;
+  /** Other names accepted for the same action (e.g. lmsrPricing for quote). */
+  aliases?: readonly string[];
+}
+
+export type ActionRegistry = Record<string, ActionDefinition>;
+
+/** Resolve body.action (name or alias) to its registry entry. */
+export function findAction(
+  registry: ActionRegistry,
+  action: string | undefined
+): { name: string; definition: ActionDefinition } | undefined {
+  if (!action) return undefined;
+  const direct = registry[action];
+  if (direct) return { name: action, definition: direct };
+  for (const [name, definition] of Object.entries(registry)) {
+    if (definition.aliases?.includes(action)) return { name, definition };
+  }
+  return undefined;
+}
+
+/** Every accepted action name, aliases included, in registry order. */
+export function actionNames(registry: ActionRegistry): string[] {
+  return Object.entries(registry).flatMap(([name, d]) => [name, ...(d.aliases ?? [])]);
+}
+
+/** Throws PayloadValidationError listing every schema issue (field: message). */
+export function validateActionPayload(name: string, schema: z.ZodTypeAny, body: Record<string, unknown>): void {
+  parseActionPayload(name, schema, body);
+}
+
+/** Top-level body fields of an object schema with whether each is required. */
+function schemaFields(schema: z.ZodTypeAny): { name: string; required: boolean }[] {
+  let inner: z.ZodTypeAny = schema;
+  while (inner instanceof z.ZodEffects) inner = inner.innerType();
+  if (!(inner instanceof z.ZodObject)) return [];
+  return Object.entries(inner.shape as Record<string, z.ZodTypeAny>).map(([name, field]) => ({
+    name,
+    required: !field.isOptional(),
+  }));
+}
+
+/** listActions response body, generated from the registry. */
+export function describeActions(registry: ActionRegistry): {
+  status: string;
+  result: string;
+  actions: {
+    action: string;
+    aliases: readonly string[];
+    description: string;
+    scopes: readonly HttpScope[];
+    writesOnChain: boolean;
+    supportsDryRun: boolean;
+    callbackPath?: string;
+    fields: { name: string; required: boolean }[];
+  }[];
+} {
+  return {
+    status: "ok",
+    result: "listActions",
+    actions: Object.entries(registry).map(([action, d]) => ({
+      action,
+      aliases: d.aliases ?? [],
+      description: d.description,
+      scopes: d.scopes,
+      writesOnChain: d.writesOnChain,
+      supportsDryRun: d.supportsDryRun === true,
+      ...(d.callbackPath ? { callbackPath: d.callbackPath } : {}),
+      fields: schemaFields(d.schema),
+    })),
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * Zod schemas for HTTP action bodies. The registry (workflows/actions.ts) validates with them before dispatch and
+ * each handler parses its payload with them (lib/payloadValidation.ts), so a bad field is reported by name
+ * instead of becoming "0" or "". Outputs keep the shapes handlers already use: integers as decimal strings,
+ * hex normalized to 0x-prefixed, defaults applied. Unknown keys (action, apiKey, dryRun, ...) are dropped.
+ */
+
+import { isAddress } from "viem";
+import { z } from "zod";
+import type { OracleType } from "../types/market";
+
+const ZERO_BYTES32 = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+function withHexPrefix(value: unknown): unknown {
+  if (typeof value !== "string") return value;
+  const s = value.trim();
+  return s === "" || /^0x/i.test(s) ? s : `0x${s}`;
+}
+
+/** Treat "" and null like an omitted optional field. */
+function optional<T extends z.ZodTypeAny>(schema: T) {
+  return z.preprocess((v) => (v === "" || v === null ? undefined : v), schema.optional());
+}
+
+const nonEmpty = z.string({ invalid_type_error: "must be a string" }).trim().min(1, "is required");
+
+/** uint256 as a decimal string; safe-integer JSON numbers are accepted and stringified. */
+export const uintString = z.preprocess(
+  (v) => (typeof v === "number" && Number.isSafeInteger(v) ? String(v) : v),
+  z
+    .string({ invalid_type_error: "must be an integer (send large values as a decimal string)" })
+    .trim()
+    .regex(/^\d+$/, "must be a non-negative integer")
+);
+
+const positiveUintString = uintString.refine((v) => BigInt(v) > 0n, "must be greater than 0");
+
+/** Non-negative decimal amount (e.g. "22.6"); scaled by the handler. */
+const decimalString = z.preprocess(
+  (v) => (typeof v === "number" && Number.isFinite(v) ? String(v) : v),
+  z
+    .string({ invalid_type_error: "must be a number or decimal string" })
+    .trim()
+    .regex(/^\d+(\.\d+)?$/, "must be a non-negative decimal number")
+);
+
+/** Small non-negative integer (outcome index, counts, enums); digit strings are accepted. */
+const smallInt = z.preprocess(
+  (v) => (typeof v === "string" && /^\s*\d+\s*$/.test(v) ? Number(v) : v),
+  z
+    .number({ invalid_type_error: "must be a non-negative integer" })
+    .int("must be a non-negative integer")
+    .nonnegative("must be a non-negative integer")
+);
+
+export const bytes32Hex = z.preprocess(
+  withHexPrefix,
+  z
+    .string({ invalid_type_error: "must be a hex string" })
+    .regex(/^0x[0-9a-fA-F]{64}$/, "must be 32-byte hex (0x + 64 hex chars)")
+    .transform((v) => v as `0x${string}`)
+);
+
+export const addressHex = z.preprocess(
+  withHexPrefix,
+  z
+    .string({ invalid_type_error: "must be a hex string" })
+    .refine((v) => isAddress(v, { strict: false }), "must be a 20-byte hex address")
+    .transform((v) => v as `0x${string}`)
+);
+
+/** Non-empty hex bytes (signatures). */
+export const hexBytes = z.preprocess(
+  withHexPrefix,
+  z
+    .string({ invalid_type_error: "must be a hex string" })
+    .regex(/^0x(?:[0-9a-fA-F]{2})+$/, "must be non-empty hex bytes (0x + even number of hex chars)")
+    .transform((v) => v as `0x${string}`)
+);
+
+const bool = (fallback: boolean) => z.boolean({ invalid_type_error: "must be true or false" }).default(fallback);
+
+const lmsrOverrides = {
+  bParameter: optional(decimalString),
+  pricingModel: optional(z.enum(["lmsr", "ls-lmsr"])),
+  alpha: optional(decimalString),
+};
+
+/** marketId and questionId are accepted interchangeably where handlers historically read either. */
+const marketIdFields = {
+  marketId: optional(bytes32Hex),
+  questionId: optional(bytes32Hex),
+};
+
+function requireMarketId(b: { marketId?: string; questionId?: string }, ctx: z.RefinementCtx): void {
+  if (!b.marketId && !b.questionId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["marketId"], message: "marketId or questionId is required" });
+  }
+}
+
+const tradeItemSchema = z.object({
+  userSignature: hexBytes,
+  quantity: decimalString,
+  tradeCostUsdc: decimalString,
+  maxCostUsdc: optional(decimalString),
+  nonce: uintString,
+  deadline: uintString,
+});
+
+/** order / buy / sell. Single trade fields are required unless trades[] is sent. */
+export const quotePayloadSchema = z
+  .object({
+    questionId: bytes32Hex,
+    conditionId: optional(bytes32Hex),
+    outcomeIndex: smallInt.default(0),
+    buy: bool(false),
+    quantity: optional(decimalString),
+    tradeCostUsdc: optional(decimalString),
+    maxCostUsdc: optional(decimalString),
+    nonce: optional(uintString),
+    deadline: optional(uintString),
+    userSignature: optional(hexBytes),
+    trades: optional(z.array(tradeItemSchema)),
+    ...lmsrOverrides,
+  })
+  .superRefine((b, ctx) => {
+    if (b.trades != null && b.trades.length > 0) return;
+    for (const field of ["quantity", "tradeCostUsdc", "nonce", "deadline"] as const) {
+      if (b[field] == null) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: "is required (or send trades[])" });
+      }
+    }
+  })
+  .transform((b) => ({
+    ...b,
+    conditionId: b.conditionId ?? "",
+    quantity: b.quantity ?? "0",
+    tradeCostUsdc: b.tradeCostUsdc ?? "0",
+    nonce: b.nonce ?? "0",
+    deadline: b.deadline ?? "0",
+    trades: b.trades != null && b.trades.length > 0 ? b.trades : undefined,
+  }));
+
+export const lmsrPricingPayloadSchema = z
+  .object({
+    ...marketIdFields,
+    outcomeIndex: smallInt.default(0),
+    buy: bool(true),
+    quantity: optional(uintString),
+    budgetUsdc: optional(uintString),
+    slippageBps: optional(smallInt.pipe(z.number().max(10000, "must be at most 10000"))),
+    b: optional(decimalString),
+    ...lmsrOverrides,
+  })
+  .superRefine((b, ctx) => {
+    requireMarketId(b, ctx);
+    if (b.budgetUsdc == null && (b.quantity == null || b.quantity === "0")) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["quantity"], message: "must be greater than 0 (or set budgetUsdc)" });
+    }
+  })
+  .transform(({ marketId, questionId, b, bParameter, ...rest }) => ({
+    ...rest,
+    marketId: (marketId ?? questionId)!,
+    quantity: rest.quantity ?? "0",
+    bParameter: bParameter ?? b,
+  }));
+
+export const getPricesPayloadSchema = z
+  .object({ ...marketIdFields, b: optional(decimalString), ...lmsrOverrides })
+  .superRefine(requireMarketId)
+  .transform(({ marketId, questionId, b, bParameter, ...rest }) => ({
+    ...rest,
+    marketId: (marketId ?? questionId)!,
+    bParameter: bParameter ?? b,
+  }));
+
+/** Upper bound on questionIds per getPositions call: every market costs two chain reads per outcome plus a few more. */
+export const MAX_POSITION_QUESTION_IDS = 20;
+
+export const getPositionsPayloadSchema = z.object({
+  user: addressHex,
+  questionIds: z
+    .array(bytes32Hex)
+    .min(1, "must contain at least one questionId")
+    .max(MAX_POSITION_QUESTION_IDS, `must contain at most ${MAX_POSITION_QUESTION_IDS} questionIds`),
+});
+
+const bundleLegSchema = z.object({
+  outcomeIndex: smallInt,
+  buy: bool(true),
+  quantity: positiveUintString,
+  maxCostUsdc: uintString,
+  nonce: uintString,
+  deadline: uintString,
+  userSignature: hexBytes,
+});
+
+export const bundlePayloadSchema = z
+  .object({
+    ...marketIdFields,
+    legs: z.array(bundleLegSchema).min(1, "must contain at least one leg"),
+    ...lmsrOverrides,
+  })
+  .superRefine((b, ctx) => {
+    if (!b.marketId && !b.questionId) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["questionId"], message: "is required" });
+    }
+  })
+  .transform(({ marketId, questionId, ...rest }) => ({ ...rest, questionId: (questionId ?? marketId)! }));
+
+export const createAgentKeyPayloadSchema = z.object({
+  agentId: nonEmpty,
+  funderNonce: optional(smallInt),
+  entropy: optional(z.string().trim().min(1)),
+});
+
+const oracleTypeSchema = smallInt
+  .pipe(z.number().min(1, "must be 1 (PLATFORM), 2 (ARBITRATOR) or 3 (CUSTOM)").max(3, "must be 1 (PLATFORM), 2 (ARBITRATOR) or 3 (CUSTOM)"))
+  .transform((v) => v as OracleType);
+
+const outcomeSlotCountSchema = smallInt.pipe(z.number().min(2, "must be 2-255").max(255, "must be 2-255"));
+
+export const createMarketPayloadSchema = z.object({
+  question: nonEmpty,
+  oracle: addressHex,
+  creatorAddress: addressHex,
+  duration: positiveUintString,
+  outcomeSlotCount: outcomeSlotCountSchema.default(2),
+  oracleType: oracleTypeSchema.default(1),
+  marketType: smallInt.default(0),
+  amountUsdc: optional(uintString),
+});
+
+export const getMarketPayloadSchema = z.object({ questionId: bytes32Hex });
+
+export const seedPayloadSchema = z.object({ questionId: bytes32Hex, amountUsdc: positiveUintString });
+
+export const resolveMarketPayloadSchema = z.object({
+  questionId: bytes32Hex,
+  payouts: z.array(uintString).min(1, "must contain one payout per outcome"),
+  oracle: addressHex,
+});
+
+export const stakePayloadSchema = z.object({
+  questionId: bytes32Hex,
+  parentCollectionId: optional(bytes32Hex).transform((v) => v ?? ZERO_BYTES32),
+  partition: z.array(uintString).min(1, "must contain at least one index set"),
+  token: addressHex,
+  amount: positiveUintString,
+  owner: addressHex,
+});
+
+export const redeemPayloadSchema = z.object({
+  parentCollectionId: optional(bytes32Hex).transform((v) => v ?? ZERO_BYTES32),
+  conditionId: bytes32Hex,
+  indexSets: z.array(uintString).min(1, "must contain at least one index set"),
+  token: addressHex,
+  owner: addressHex,
+  deadline: uintString,
+  nonce: uintString,
+  signature: hexBytes,
+});
+
+/** redeem without the signature: deadline defaults to now + 1h, nonce is read from Sub0. */
+export const prepareRedeemPayloadSchema = z.object({
+  parentCollectionId: optional(bytes32Hex).transform((v) => v ?? ZERO_BYTES32),
+  conditionId: bytes32Hex,
+  indexSets: z.array(uintString).min(1, "must contain at least one index set"),
+  token: addressHex,
+  owner: addressHex,
+  deadline: optional(uintString),
+});
+
+export const executeConfidentialTradePayloadSchema = z
+  .object({
+    agentId: nonEmpty,
+    ...marketIdFields,
+    outcomeIndex: smallInt.default(0),
+    buy: bool(false),
+    quantity: positiveUintString,
+    tradeCostUsdc: uintString,
+    nonce: uintString,
+    deadline: uintString,
+  })
+  .superRefine(requireMarketId)
+  .transform(({ marketId, questionId, ...rest }) => ({ ...rest, marketId: (marketId ?? questionId)! }));
+
+const signerSchema = z.enum(["agent", "backend"], {
+  errorMap: () => ({ message: 'must be "agent" or "backend"' }),
+});
+
+function requireAgentId(b: { signer: string; agentId?: string }, ctx: z.RefinementCtx): void {
+  if (b.signer === "agent" && !b.agentId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["agentId"], message: 'is required when signer is "agent"' });
+  }
+}
+
+export const approveErc20PayloadSchema = z
+  .object({
+    signer: signerSchema,
+    agentId: optional(nonEmpty),
+    token: optional(addressHex),
+    spender: addressHex,
+    amount: uintString,
+    nonce: optional(uintString),
+    userInvoke: bool(true),
+  })
+  .superRefine(requireAgentId);
+
+export const approveConditionalTokenPayloadSchema = z
+  .object({
+    signer: signerSchema,
+    agentId: optional(nonEmpty),
+    conditionalTokens: optional(addressHex),
+    operator: addressHex,
+    approved: bool(true),
+    nonce: optional(uintString),
+    userInvoke: bool(true),
+  })
+  .superRefine(requireAgentId);
+
+export const decodeReportPayloadSchema = z
+  .object({
+    reportHex: hexBytes,
+    contract: optional(z.enum(["sub0", "predictionVault"])),
+    receiver: optional(addressHex),
+  })
+  .superRefine((b, ctx) => {
+    if (!b.contract && !b.receiver) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["contract"],
+        message: "contract (sub0 | predictionVault) or receiver is required",
+      });
+    }
+  });
+
+/** One market in createMarketsFromBackend's markets[] (same shape the backend agent-markets GET returns). */
+const backendMarketSchema = z.object({
+  question: nonEmpty,
+  oracle: addressHex,
+  duration: positiveUintString.transform(Number),
+  outcomeSlotCount: outcomeSlotCountSchema.default(2),
+  oracleType: oracleTypeSchema.default(1),
+  marketType: smallInt.default(0),
+  creatorAddress: addressHex,
+  agentSource: optional(z.enum(["gemini", "grok", "openwebui"])),
+  amountUsdc: optional(uintString),
+  marketId: optional(nonEmpty),
+});
+
+export const createMarketsFromBackendPayloadSchema = z.object({
+  apiKey: optional(z.string()),
+  markets: optional(z.array(backendMarketSchema)),
+});
+
+export const runSettlementPayloadSchema = z.object({ marketId: nonEmpty, questionId: bytes32Hex });
+
+export const listActionsPayloadSchema = z.object({});
+
+export const doctorPayloadSchema = z.object({});
@@ -21,10 +21,64 @@ const contractsSchema = z
       outcomeTokenDecimals: z.number(),
       parentCollectionId: z.string(),
     }),
+    expectedWorkflow: z
+      .object({ author: z.string().optional(), id: z.string().optional(), name: z.string().optional() })
+      .optional(),
   })
   .passthrough()
   .optional();
 
+const pricingModelSchema = z.enum(["lmsr", "ls-lmsr"]);
+
+const lmsrSchema = z
+  .object({
+    pricingModelByQuestionId: z.record(pricingModelSchema).optional(),
+    defaultPricingModel: pricingModelSchema.optional(),
+    alphaByQuestionId: z.record(z.string()).optional(),
+    defaultAlpha: z.string().optional(),
+    bParameterByQuestionId: z.record(z.string()).optional(),
+    backendMarketParamsPath: z.string().optional(),
+    backendMarketParamsNoAuth: z.boolean().optional(),
+    defaultBParameter: z.string().optional(),
+    allowRequestBParameter: z.boolean().optional(),
+    quoteToleranceBps: z.number().int().nonnegative().optional(),
+  })
+  .optional();
+
+const httpScopeSchema = z.enum(["read-only", "trader", "platform-admin", "settlement"]);
+
+export const httpAuthSchema = z
+  .object({
+    mode: z.enum(["apiKey", "hmac"]).optional(),
+    maxSkewSeconds: z.number().int().positive().optional(),
+    keys: z
+      .array(
+        z.object({
+          name: z.string().regex(/^[A-Za-z0-9_-]{1,64}$/),
+          secretId: z.string().min(1),
+          scopes: z.array(httpScopeSchema),
+        })
+      )
+      .refine((keys) => new Set(keys.map((k) => k.name)).size === keys.length, "key names must be unique")
+      .optional(),
+  })
+  .optional();
+
+const logTriggerSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    confidence: z.enum(["latest", "safe", "finalized"]).optional(),
+  })
+  .optional();
+
+const confirmationSchema = z
+  .object({
+    maxPolls: z.number().int().min(1).max(10).optional(),
+    timeoutSeconds: z.number().int().min(1).max(240).optional(),
+    depth: z.number().int().min(0).optional(),
+  })
+  .optional();
+
 export const workflowConfigSchema = z.object({
   schedule: z.string(),
   backendUrl: z.string().optional(),
@@ -33,6 +87,11 @@ export const workflowConfigSchema = z.object({
   backendAgentMarketsPath: z.string().optional(),
   backendOnchainCreatedPath: z.string().optional(),
   contracts: contractsSchema,
+  lmsr: lmsrSchema,
+  httpAuth: httpAuthSchema,
+  vaultEvents: logTriggerSchema,
+  resolutionEvents: logTriggerSchema,
+  confirmation: confirmationSchema,
 });
 
 export type WorkflowConfigFromSchema = z.infer<typeof workflowConfigSchema>;
@@ -0,0 +1,161 @@
+/**
+ * Confirmation of writeReport transactions. writeReport returns once the forwarder tx succeeds, which may be ahead of
+ * the finalized block the reads use (and may still be reorged out). confirmWrite polls each tx until it reaches the
+ * target (at or below the finalized block, or config.confirmation.depth blocks on top of its receipt block) or
+ * reverts, and reports where it stands:
+ * pending (no receipt yet, or dropped by a reorg), included (mined, not yet final), finalized or reverted (status 0).
+ * A handler cannot sleep, so a poll is one round of capability reads (receipt, latest and finalized header); on a DON
+ * each read is a consensus round, which is what spaces the polls out. maxPolls bounds the reads spent (each poll
+ * counts up to 3 against the execution's EVM call limit) and timeoutSeconds the wall time, by runtime.now().
+ * main.ts adds the result as `confirmation` to every write response that does not set it itself.
+ */
+
+import { hexToBase64, LATEST_BLOCK_NUMBER, LAST_FINALIZED_BLOCK_NUMBER, type Runtime } from "@chainlink/cre-sdk";
+import type { ChainContractConfig } from "../types/contracts";
+import type { ConfirmationConfig } from "../types/config";
+import { getEVMClient } from "./evm";
+
+export type ConfirmationStatus = "pending" | "included" | "finalized" | "reverted";
+
+export interface TxConfirmation {
+  txHash: string;
+  status: ConfirmationStatus;
+  /** Block the receipt was in; absent while pending. */
+  blockNumber?: string;
+  /** Blocks on top of blockNumber (0 = the latest block); absent when the headers could not be read. */
+  confirmations?: string;
+  /** Polls made before the tx reached the target, reverted, or the budget ran out. */
+  polls: number;
+}
+
+export interface WriteConfirmation {
+  /** Least confirmed of transactions; "none" when the response carries no tx hash (dry run, simulate without broadcast). */
+  status: ConfirmationStatus | "none";
+  transactions: TxConfirmation[];
+}
+
+const DEFAULT_MAX_POLLS = 3;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const RECEIPT_STATUS_REVERTED = 0;
+
+/** Worst first: the write as a whole is only as confirmed as its least confirmed transaction. */
+const STATUS_ORDER: ConfirmationStatus[] = ["reverted", "pending", "included", "finalized"];
+
+/** Proto BigInt from an EVM capability reply ({ absVal: big-endian bytes, sign }) as a bigint. */
+function protoToBigInt(value: { absVal?: Uint8Array; sign?: bigint | number | string } | undefined): bigint | undefined {
+  if (!value?.absVal) return undefined;
+  let n = 0n;
+  for (const byte of value.absVal) n = (n << 8n) | BigInt(byte);
+  return BigInt(value.sign ?? 1) < 0n ? -n : n;
+}
+
+function readHeaderNumber(
+  runtime: Runtime<unknown>,
+  client: ReturnType<typeof getEVMClient>,
+  blockNumber: { absVal: string; sign: string }
+): bigint | undefined {
+  const reply = client.headerByNumber(runtime, { blockNumber }).result();
+  return protoToBigInt(reply.header?.blockNumber);
+}
+
+type Receipt = { status?: bigint | number; blockNumber?: { absVal?: Uint8Array; sign?: bigint } };
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+/** One poll: the receipt, then the headers it is measured against. A failed read leaves the tx as it stands. */
+function checkTx(
+  runtime: Runtime<unknown>,
+  client: ReturnType<typeof getEVMClient>,
+  txHash: string,
+  depth: number
+): Omit<TxConfirmation, "polls"> {
+  let receipt: Receipt | undefined;
+  try {
+    receipt = client.getTransactionReceipt(runtime, { hash: hexToBase64(txHash as `0x${string}`) }).result().receipt;
+  } catch (err) {
+    runtime.log(`Confirmation ${txHash}: receipt read failed: ${errorMessage(err)}`);
+  }
+  const blockNumber = protoToBigInt(receipt?.blockNumber);
+  if (!receipt || blockNumber === undefined) return { txHash, status: "pending" };
+  if (Number(receipt.status) === RECEIPT_STATUS_REVERTED) {
+    return { txHash, status: "reverted", blockNumber: String(blockNumber) };
+  }
+  let head: bigint;
+  let finalized: bigint | undefined;
+  try {
+    head = readHeaderNumber(runtime, client, LATEST_BLOCK_NUMBER) ?? blockNumber;
+    finalized = readHeaderNumber(runtime, client, LAST_FINALIZED_BLOCK_NUMBER);
+  } catch (err) {
+    // mined is known from the receipt; without headers finality is not, so it stays included until a later poll
+    runtime.log(`Confirmation ${txHash}: header read failed: ${errorMessage(err)}`);
+    return { txHash, status: "included", blockNumber: String(blockNumber) };
+  }
+  const confirmations = head > blockNumber ? head - blockNumber : 0n;
+  const isFinal = (finalized !== undefined && blockNumber <= finalized) || (depth > 0 && confirmations >= BigInt(depth));
+  return {
+    txHash,
+    status: isFinal ? "finalized" : "included",
+    blockNumber: String(blockNumber),
+    confirmations: String(confirmations),
+  };
+}
+
+/** Poll until finalized or reverted, maxPolls polls, or the deadline (shared by every tx of the write). */
+function confirmTx(
+  runtime: Runtime<unknown>,
+  client: ReturnType<typeof getEVMClient>,
+  txHash: string,
+  maxPolls: number,
+  depth: number,
+  deadlineMs: number
+): TxConfirmation {
+  let latest: TxConfirmation = { txHash, status: "pending", polls: 0 };
+  for (let poll = 1; poll <= maxPolls; poll++) {
+    latest = { ...checkTx(runtime, client, txHash, depth), polls: poll };
+    if (latest.status === "finalized" || latest.status === "reverted") break;
+    if (runtime.now().getTime() >= deadlineMs) break;
+  }
+  return latest;
+}
+
+/** Poll every tx hash; empty or zero hashes (no broadcast; PredictionVault writes return bytes32(0)) are skipped. */
+export function confirmWrite(
+  runtime: Runtime<unknown>,
+  contracts: ChainContractConfig,
+  txHashes: readonly string[],
+  options: ConfirmationConfig = {}
+): WriteConfirmation {
+  const hashes = txHashes.filter((h) => /^0x[0-9a-fA-F]{64}$/.test(h) && BigInt(h) !== 0n);
+  if (hashes.length === 0) return { status: "none", transactions: [] };
+  const client = getEVMClient(contracts.chainSelectorName);
+  const maxPolls = options.maxPolls ?? DEFAULT_MAX_POLLS;
+  const deadlineMs = runtime.now().getTime() + (options.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const transactions = hashes.map((h) => confirmTx(runtime, client, h, maxPolls, options.depth ?? 0, deadlineMs));
+  for (const t of transactions) {
+    runtime.log(`Confirmation ${t.txHash}: ${t.status}${t.blockNumber ? ` in block ${t.blockNumber}` : ""} after ${t.polls} poll(s).`);
+  }
+  return withStatus(transactions);
+}
+
+/** One confirmation for several writes (e.g. createMarketsFromBackend's markets). */
+export function mergeConfirmations(confirmations: readonly WriteConfirmation[]): WriteConfirmation {
+  return withStatus(confirmations.flatMap((c) => c.transactions));
+}
+
+function withStatus(transactions: TxConfirmation[]): WriteConfirmation {
+  if (transactions.length === 0) return { status: "none", transactions };
+  const status = STATUS_ORDER.find((s) => transactions.some((t) => t.status === s)) ?? "pending";
+  return { status, transactions };
+}
+
+/** Tx hashes of a write response: txHash and txHashes (trade batches, bundle legs). */
+export function responseTxHashes(result: Record<string, unknown>): string[] {
+  const hashes: string[] = [];
+  if (typeof result.txHash === "string") hashes.push(result.txHash);
+  if (Array.isArray(result.txHashes)) {
+    for (const h of result.txHashes) if (typeof h === "string") hashes.push(h);
+  }
+  return hashes;
+}
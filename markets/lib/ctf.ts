@@ -1,9 +1,12 @@
 /**
  * ConditionalTokensV2 (CTF) view-only interactions.
- * CRE uses: getCollectionId, getPositionId, getOutcomeSlotCount, balanceOf.
+ * CRE uses: getCollectionId, getPositionId, getOutcomeSlotCount, balanceOf (vault q vector for LMSR);
+ * balanceOfBatch, payoutNumerators and payoutDenominator for user positions (getPositions);
+ * ConditionResolution log decoding for the resolution watcher.
  * No prepareCondition, splitPosition, redeemPositions etc. from CRE.
  */
 
+import { decodeEventLog, getAbiItem, toEventSelector, type AbiEvent, type Address, type Hex } from "viem";
 import type { EvmContext } from "./evm";
 import { CTF_ABI } from "./abis";
 import { callContract, decodeCallResult, buildCallData } from "./evm";
@@ -15,13 +18,9 @@ export function getCollectionId(
   conditionId: `0x${string}`,
   outcomeIndex: number
 ): `0x${string}` {
-  const indexSet = 1 << outcomeIndex;
-  ctx.runtime.log(`getCollectionId: conditionId: ${conditionId}, outcomeIndex: ${outcomeIndex}`);
-  const data = buildCallData(CTF_ABI, "getCollectionId", [
-    ZERO_BYTES32 as `0x${string}`,
-    conditionId,
-    BigInt(indexSet),
-  ]);
+  // bigint shift: a 32-bit 1 << i goes negative at i = 31 and wraps from 32, and markets allow up to 255 outcomes
+  const indexSet = 1n << BigInt(outcomeIndex);
+  const data = buildCallData(CTF_ABI, "getCollectionId", [ZERO_BYTES32 as `0x${string}`, conditionId, indexSet]);
   const reply = callContract(
     ctx.runtime,
     ctx.config.chainSelectorName,
@@ -33,7 +32,6 @@ export function getCollectionId(
 }
 
 export function getPositionId(ctx: EvmContext, collectionId: `0x${string}`): bigint {
-  ctx.runtime.log(`collectionId: ${collectionId}`);
   const data = buildCallData(CTF_ABI, "getPositionId", [
     ctx.config.contracts.usdc as `0x${string}`,
     collectionId,
@@ -84,3 +82,86 @@ export function getVaultBalanceForOutcome(
   const positionId = getPositionId(ctx, collectionId);
   return balanceOf(ctx, ctx.config.contracts.predictionVault as `0x${string}`, positionId);
 }
+
+/** Vault balance of every outcome position (LMSR q vector), index i = outcome i. */
+export function getVaultBalances(
+  ctx: EvmContext,
+  conditionId: `0x${string}`,
+  outcomeSlotCount: number
+): bigint[] {
+  const balances: bigint[] = [];
+  for (let i = 0; i < outcomeSlotCount; i++) {
+    balances.push(getVaultBalanceForOutcome(ctx, conditionId, i));
+  }
+  return balances;
+}
+
+/** Balances of one account for several position ids in a single call. */
+export function balanceOfBatch(ctx: EvmContext, account: `0x${string}`, positionIds: readonly bigint[]): bigint[] {
+  if (positionIds.length === 0) return [];
+  const data = buildCallData(CTF_ABI, "balanceOfBatch", [positionIds.map(() => account), [...positionIds]]);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.conditionalTokens as `0x${string}`,
+    data
+  );
+  return [...decodeCallResult<readonly bigint[]>(CTF_ABI, "balanceOfBatch", reply.data)];
+}
+
+/** Payout denominator of a condition; 0 until it is resolved. */
+export function getPayoutDenominator(ctx: EvmContext, conditionId: `0x${string}`): bigint {
+  const data = buildCallData(CTF_ABI, "payoutDenominator", [conditionId]);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.conditionalTokens as `0x${string}`,
+    data
+  );
+  return decodeCallResult<bigint>(CTF_ABI, "payoutDenominator", reply.data);
+}
+
+/** Payout numerator per outcome of a resolved condition (index i = outcome i). */
+export function getPayoutNumerators(ctx: EvmContext, conditionId: `0x${string}`): bigint[] {
+  const data = buildCallData(CTF_ABI, "payoutNumerators", [conditionId]);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.conditionalTokens as `0x${string}`,
+    data
+  );
+  return [...decodeCallResult<readonly bigint[]>(CTF_ABI, "payoutNumerators", reply.data)];
+}
+
+export interface ConditionResolutionEvent {
+  conditionId: Hex;
+  oracle: Address;
+  questionId: Hex;
+  outcomeSlotCount: bigint;
+  payoutNumerators: bigint[];
+}
+
+/** topic0 of ConditionResolution, for the log trigger filter. */
+export function conditionResolutionTopic(): Hex {
+  return toEventSelector(getAbiItem({ abi: CTF_ABI, name: "ConditionResolution" }) as AbiEvent);
+}
+
+/** Decode a CTF log; undefined when it is not ConditionResolution or does not match the ABI. */
+export function decodeConditionResolutionLog(topics: Hex[], data: Hex): ConditionResolutionEvent | undefined {
+  if (topics.length === 0) return undefined;
+  let decoded: { eventName?: string; args?: unknown };
+  try {
+    decoded = decodeEventLog({ abi: CTF_ABI, topics: topics as [Hex, ...Hex[]], data });
+  } catch {
+    return undefined;
+  }
+  if (decoded.eventName !== "ConditionResolution") return undefined;
+  const args = (decoded.args ?? {}) as Record<string, unknown>;
+  return {
+    conditionId: args.conditionId as Hex,
+    oracle: args.oracle as Address,
+    questionId: args.questionId as Hex,
+    outcomeSlotCount: args.outcomeSlotCount as bigint,
+    payoutNumerators: [...(args.payoutNumerators as readonly bigint[])],
+  };
+}
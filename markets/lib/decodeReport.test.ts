@@ -0,0 +1,126 @@
+import { describe, expect, test } from "bun:test";
+import { keccak256, toHex, zeroHash } from "viem";
+import type { Sub0RedeemPayload, Sub0ResolvePayload, Sub0StakePayload, PredictionVaultExecuteTradePayload } from "../types/cre";
+import type { CreateMarketParams } from "../types/market";
+import { decodeReport } from "./decodeReport";
+import { CreError } from "./errors";
+import { encodeCreateMarket, encodeSub0ReportRedeem, encodeSub0ReportResolve, encodeSub0ReportStake } from "./sub0";
+import { encodePredictionVaultReportExecuteTrade, encodePredictionVaultReportSeedLiquidity } from "./predictionVault";
+
+/** Checksummed, as viem decodes addresses. */
+const ORACLE = "0x5B38Da6a701c568545dCfcB03FcB875f56beddC4";
+const OWNER = "0xAb8483F64d9C6d1EcF9b849Ae677dD3315835cb2";
+const TOKEN = "0x4B20993Bc481177ec7E8f571ceCaE8A9e22C02db";
+const QUESTION_ID = keccak256(toHex("Will it rain tomorrow?"));
+const CONDITION_ID = keccak256(toHex("condition"));
+const SIGNATURE = `0x${"ab".repeat(65)}` as const;
+
+describe("decodeReport round trips", () => {
+  test("sub0 createMarket", () => {
+    const params: CreateMarketParams = {
+      question: "Will it rain tomorrow?",
+      oracle: ORACLE,
+      owner: OWNER,
+      duration: 86400,
+      outcomeSlotCount: 3,
+      oracleType: 1,
+      marketType: 2,
+    };
+    const decoded = decodeReport("sub0", encodeCreateMarket(params));
+    expect(decoded.action).toBe("createMarket");
+    expect(decoded.prefix).toBe("0x00");
+    // conditionId and createdAt are placeholders the contract fills in
+    expect(decoded.payload).toEqual({
+      question: params.question,
+      conditionId: zeroHash,
+      oracle: ORACLE,
+      owner: OWNER,
+      createdAt: 0n,
+      duration: 86400n,
+      outcomeSlotCount: 3,
+      oracleType: 1,
+      marketType: 2,
+    });
+  });
+
+  test("sub0 resolve", () => {
+    const payload: Sub0ResolvePayload = { questionId: QUESTION_ID, payouts: [0n, 1n, 0n], oracle: ORACLE };
+    const decoded = decodeReport("sub0", encodeSub0ReportResolve(payload));
+    expect(decoded.action).toBe("resolve");
+    expect(decoded.prefix).toBe("0x01");
+    expect(decoded.payload).toEqual(payload);
+  });
+
+  test("sub0 stake", () => {
+    const payload: Sub0StakePayload = {
+      questionId: QUESTION_ID,
+      parentCollectionId: zeroHash,
+      partition: [1n, 2n],
+      token: TOKEN,
+      amount: 1_000_000n,
+      owner: OWNER,
+    };
+    const decoded = decodeReport("sub0", encodeSub0ReportStake(payload));
+    expect(decoded.action).toBe("stake");
+    expect(decoded.prefix).toBe("0x02");
+    expect(decoded.payload).toEqual(payload);
+  });
+
+  test("sub0 redeem", () => {
+    const payload: Sub0RedeemPayload = {
+      parentCollectionId: zeroHash,
+      conditionId: CONDITION_ID,
+      indexSets: [1n, 2n, 4n],
+      token: TOKEN,
+      owner: OWNER,
+      deadline: 1_900_000_000n,
+      nonce: 7n,
+      signature: SIGNATURE,
+    };
+    const decoded = decodeReport("sub0", encodeSub0ReportRedeem(payload));
+    expect(decoded.action).toBe("redeem");
+    expect(decoded.prefix).toBe("0x03");
+    expect(decoded.payload).toEqual(payload);
+  });
+
+  test("predictionVault executeTrade", () => {
+    const payload: PredictionVaultExecuteTradePayload = {
+      questionId: QUESTION_ID,
+      outcomeIndex: 1n,
+      buy: true,
+      quantity: 5_000_000_000_000_000_000n,
+      tradeCostUsdc: 2_750_000n,
+      maxCostUsdc: 2_800_000n,
+      nonce: 42n,
+      deadline: 1_900_000_000n,
+      user: OWNER,
+      donSignature: SIGNATURE,
+      userSignature: `0x${"cd".repeat(65)}`,
+    };
+    const decoded = decodeReport("predictionVault", encodePredictionVaultReportExecuteTrade(payload));
+    expect(decoded.action).toBe("executeTrade");
+    expect(decoded.prefix).toBe("0x00");
+    expect(decoded.payload).toEqual(payload);
+  });
+
+  test("predictionVault seedLiquidity", () => {
+    const decoded = decodeReport("predictionVault", encodePredictionVaultReportSeedLiquidity(QUESTION_ID, 10_000_000n));
+    expect(decoded.action).toBe("seedLiquidity");
+    expect(decoded.prefix).toBe("0x01");
+    expect(decoded.payload).toEqual({ questionId: QUESTION_ID, amountUsdc: 10_000_000n });
+  });
+});
+
+describe("decodeReport errors", () => {
+  test("unknown prefix is a VALIDATION_FAILED CreError naming the prefix", () => {
+    const report = `0x07${encodePredictionVaultReportSeedLiquidity(QUESTION_ID, 1n).slice(4)}`;
+    try {
+      decodeReport("predictionVault", report);
+      throw new Error("expected decodeReport to throw");
+    } catch (err) {
+      expect(err).toBeInstanceOf(CreError);
+      expect((err as CreError).code).toBe("VALIDATION_FAILED");
+      expect((err as CreError).message).toContain("Unknown predictionVault report prefix 0x07");
+    }
+  });
+});
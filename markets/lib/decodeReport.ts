@@ -0,0 +1,168 @@
+/**
+ * Decode CRE reports back into typed payloads: the inverse of the encode* helpers in sub0.ts and predictionVault.ts.
+ * report = prefix (1 byte) || abi.encode(payload); the prefix is only meaningful together with the receiver kind
+ * (0x00 is create on Sub0 and executeTrade on PredictionVault). Useful for inspecting a failed forwarder tx
+ * or a dryRun reportHex without cast.
+ */
+
+import { decodeAbiParameters, isHex } from "viem";
+import type {
+  CreReportContract,
+  DecodedCreReport,
+  PredictionVaultExecuteTradePayload,
+  Sub0RedeemPayload,
+  Sub0ResolvePayload,
+  Sub0StakePayload,
+} from "../types/cre";
+import { SUB0_CRE_ACTION, PREDICTION_VAULT_CRE_ACTION } from "../types/cre";
+import type { OracleType } from "../types/market";
+import { CREATE_MARKET_PARAMS, RESOLVE_PARAMS, STAKE_PARAMS, REDEEM_PARAMS } from "./sub0";
+import { EXECUTE_TRADE_PARAMS, SEED_LIQUIDITY_PARAMS } from "./predictionVault";
+import { CreError } from "./errors";
+
+export const CRE_REPORT_CONTRACTS: readonly CreReportContract[] = ["sub0", "predictionVault"];
+
+function prefixHex(prefix: number): `0x${string}` {
+  return `0x${prefix.toString(16).padStart(2, "0")}`;
+}
+
+/** Run an ABI decode, naming the report in the error instead of surfacing viem's bare message. */
+function decodePayload<T>(label: string, decode: () => T): T {
+  try {
+    return decode();
+  } catch (err) {
+    const detail =
+      err instanceof Error ? ((err as Error & { shortMessage?: string }).shortMessage ?? err.message) : String(err);
+    throw new CreError("VALIDATION_FAILED", `Malformed ${label} report payload: ${detail}`);
+  }
+}
+
+function decodeSub0Report(prefix: number, payload: `0x${string}`): DecodedCreReport {
+  const p = prefixHex(prefix);
+  switch (prefix) {
+    case SUB0_CRE_ACTION.CREATE: {
+      const [m] = decodePayload("sub0 createMarket", () => decodeAbiParameters(CREATE_MARKET_PARAMS, payload));
+      return {
+        contract: "sub0",
+        action: "createMarket",
+        prefix: p,
+        payload: {
+          question: m.question,
+          conditionId: m.conditionId,
+          oracle: m.oracle,
+          owner: m.owner,
+          createdAt: m.createdAt,
+          duration: m.duration,
+          outcomeSlotCount: Number(m.outcomeSlotCount),
+          oracleType: m.oracleType as OracleType,
+          marketType: m.marketType,
+        },
+      };
+    }
+    case SUB0_CRE_ACTION.RESOLVE: {
+      const [questionId, payouts, oracle] = decodePayload("sub0 resolve", () =>
+        decodeAbiParameters(RESOLVE_PARAMS, payload)
+      );
+      const decoded: Sub0ResolvePayload = { questionId, payouts, oracle };
+      return { contract: "sub0", action: "resolve", prefix: p, payload: decoded };
+    }
+    case SUB0_CRE_ACTION.STAKE: {
+      const [questionId, parentCollectionId, partition, token, amount, owner] = decodePayload("sub0 stake", () =>
+        decodeAbiParameters(STAKE_PARAMS, payload)
+      );
+      const decoded: Sub0StakePayload = { questionId, parentCollectionId, partition, token, amount, owner };
+      return { contract: "sub0", action: "stake", prefix: p, payload: decoded };
+    }
+    case SUB0_CRE_ACTION.REDEEM: {
+      const [parentCollectionId, conditionId, indexSets, token, owner, deadline, nonce, signature] = decodePayload(
+        "sub0 redeem",
+        () => decodeAbiParameters(REDEEM_PARAMS, payload)
+      );
+      const decoded: Sub0RedeemPayload = {
+        parentCollectionId,
+        conditionId,
+        indexSets,
+        token,
+        owner,
+        deadline,
+        nonce,
+        signature,
+      };
+      return { contract: "sub0", action: "redeem", prefix: p, payload: decoded };
+    }
+    default:
+      throw new CreError(
+        "VALIDATION_FAILED",
+        `Unknown sub0 report prefix ${p} (expected 0x00 createMarket, 0x01 resolve, 0x02 stake, 0x03 redeem)`
+      );
+  }
+}
+
+function decodePredictionVaultReport(prefix: number, payload: `0x${string}`): DecodedCreReport {
+  const p = prefixHex(prefix);
+  switch (prefix) {
+    case PREDICTION_VAULT_CRE_ACTION.EXECUTE_TRADE: {
+      const [
+        questionId,
+        outcomeIndex,
+        buy,
+        quantity,
+        tradeCostUsdc,
+        maxCostUsdc,
+        nonce,
+        deadline,
+        user,
+        donSignature,
+        userSignature,
+      ] = decodePayload("predictionVault executeTrade", () => decodeAbiParameters(EXECUTE_TRADE_PARAMS, payload));
+      const decoded: PredictionVaultExecuteTradePayload = {
+        questionId,
+        outcomeIndex,
+        buy,
+        quantity,
+        tradeCostUsdc,
+        maxCostUsdc,
+        nonce,
+        deadline,
+        user,
+        donSignature,
+        userSignature,
+      };
+      return { contract: "predictionVault", action: "executeTrade", prefix: p, payload: decoded };
+    }
+    case PREDICTION_VAULT_CRE_ACTION.SEED_LIQUIDITY: {
+      const [questionId, amountUsdc] = decodePayload("predictionVault seedLiquidity", () =>
+        decodeAbiParameters(SEED_LIQUIDITY_PARAMS, payload)
+      );
+      return { contract: "predictionVault", action: "seedLiquidity", prefix: p, payload: { questionId, amountUsdc } };
+    }
+    default:
+      throw new CreError(
+        "VALIDATION_FAILED",
+        `Unknown predictionVault report prefix ${p} (expected 0x00 executeTrade, 0x01 seedLiquidity)`
+      );
+  }
+}
+
+/**
+ * Decode a CRE report for the given receiver kind. Throws on non-hex input, an empty report,
+ * a prefix the receiver does not route, or a payload that does not ABI-decode for that action.
+ */
+export function decodeReport(contract: CreReportContract, reportHex: string): DecodedCreReport {
+  const raw = reportHex.trim();
+  const hex = (raw.startsWith("0x") ? raw : `0x${raw}`) as `0x${string}`;
+  if (!isHex(hex, { strict: true }) || hex.length % 2 !== 0) {
+    throw new CreError("VALIDATION_FAILED", "reportHex must be an even-length hex string");
+  }
+  if (hex.length < 4) {
+    throw new CreError("VALIDATION_FAILED", "reportHex is empty (expected prefix byte || abi-encoded payload)");
+  }
+  const prefix = parseInt(hex.slice(2, 4), 16);
+  const payload = `0x${hex.slice(4)}` as `0x${string}`;
+  if (contract === "sub0") return decodeSub0Report(prefix, payload);
+  if (contract === "predictionVault") return decodePredictionVaultReport(prefix, payload);
+  throw new CreError(
+    "VALIDATION_FAILED",
+    `Unknown report contract "${String(contract)}" (expected ${CRE_REPORT_CONTRACTS.join(" or ")})`
+  );
+}
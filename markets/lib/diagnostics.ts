@@ -0,0 +1,222 @@
+/**
+ * Receiver revert diagnostics. writeReport only says the receiver reverted (receiverContractExecutionStatus); this
+ * reads the rest back. The signed report's header gives the workflowExecutionId and reportId, the receiver gives its
+ * forwarder, and the forwarder's getTransmissionInfo gives the transmission state. The receiver call is then replayed
+ * as the forwarder (onReport(metadata, report) at the latest block) and the revert data is decoded against the
+ * receiver's ABI errors, so the response names e.g. QuestionAlreadyExists(0x...) instead of "check params and roles".
+ * Best effort: nothing here throws; what cannot be read is left out of the diagnosis.
+ */
+
+import { bytesToHex, encodeCallMsg, LATEST_BLOCK_NUMBER, LAST_FINALIZED_BLOCK_NUMBER, type Runtime } from "@chainlink/cre-sdk";
+import { decodeErrorResult, slice, type Abi, type Address, type Hex, zeroAddress } from "viem";
+import { FORWARDER_ABI } from "./abis";
+import { buildCallData, decodeCallResult, getEVMClient } from "./evm";
+
+/** Report header written by runtime.report before the payload (KeystoneForwarder layout). */
+const REPORT_HEADER_BYTES = 109;
+/** version(1) + workflowExecutionId(32) + timestamp(4) + donId(4) + donConfigVersion(4); onReport metadata follows. */
+const METADATA_OFFSET = 45;
+
+/** IRouter.TransmissionState */
+const TRANSMISSION_STATES = ["NOT_ATTEMPTED", "SUCCEEDED", "INVALID_RECEIVER", "FAILED"] as const;
+
+/** ABI with only the receiver hook the forwarder calls. */
+const ON_REPORT_ABI = [
+  {
+    type: "function",
+    name: "onReport",
+    stateMutability: "nonpayable",
+    inputs: [
+      { name: "metadata", type: "bytes" },
+      { name: "report", type: "bytes" },
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "getForwarderAddress",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "address" }],
+  },
+] as const satisfies Abi;
+
+export interface TransmissionDiagnosis {
+  transmissionId: Hex;
+  state: (typeof TRANSMISSION_STATES)[number] | string;
+  transmitter: Address;
+  invalidReceiver: boolean;
+  success: boolean;
+  gasLimit: string;
+}
+
+export interface ReceiverRevertDiagnosis {
+  /** Decoded error, e.g. "QuestionAlreadyExists(0x...)"; otherwise the best explanation found. */
+  reason: string;
+  errorName?: string;
+  errorArgs?: string[];
+  forwarder?: Address;
+  workflowExecutionId?: Hex;
+  reportId?: Hex;
+  transmission?: TransmissionDiagnosis;
+}
+
+interface ReportHeader {
+  workflowExecutionId: Hex;
+  reportId: Hex;
+  metadata: Hex;
+  report: Hex;
+}
+
+/** Split runtime.report's rawReport into the forwarder's ids and the (metadata, report) pair it passes to onReport. */
+export function parseRawReport(rawReport: Hex): ReportHeader | undefined {
+  if ((rawReport.length - 2) / 2 < REPORT_HEADER_BYTES) return undefined;
+  return {
+    workflowExecutionId: slice(rawReport, 1, 33),
+    reportId: slice(rawReport, REPORT_HEADER_BYTES - 2, REPORT_HEADER_BYTES),
+    metadata: slice(rawReport, METADATA_OFFSET, REPORT_HEADER_BYTES),
+    report: slice(rawReport, REPORT_HEADER_BYTES),
+  };
+}
+
+/** Decode revert data against the receiver ABI (custom errors) plus Error(string) / Panic(uint256). */
+export function decodeRevertData(
+  abi: Abi,
+  data: Hex
+): { errorName: string; errorArgs: string[]; reason: string } | undefined {
+  try {
+    const decoded = decodeErrorResult({ abi: [...abi, ...FORWARDER_ABI], data });
+    const errorArgs = (decoded.args ?? []).map((a) => String(a));
+    return { errorName: decoded.errorName, errorArgs, reason: `${decoded.errorName}(${errorArgs.join(", ")})` };
+  } catch {
+    return undefined;
+  }
+}
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+/** First hex blob in an error message that decodes as a known error. */
+function decodeRevertFromMessage(abi: Abi, message: string) {
+  for (const match of message.match(/0x[0-9a-fA-F]{8,}/g) ?? []) {
+    const decoded = decodeRevertData(abi, match as Hex);
+    if (decoded) return decoded;
+  }
+  return undefined;
+}
+
+function readForwarder(runtime: Runtime<unknown>, chainSelectorName: string, receiver: Address): Address {
+  const reply = getEVMClient(chainSelectorName)
+    .callContract(runtime, {
+      call: encodeCallMsg({ from: zeroAddress, to: receiver, data: buildCallData(ON_REPORT_ABI, "getForwarderAddress", []) }),
+      blockNumber: LAST_FINALIZED_BLOCK_NUMBER,
+    })
+    .result();
+  return decodeCallResult<Address>(ON_REPORT_ABI, "getForwarderAddress", reply.data);
+}
+
+function readTransmissionInfo(
+  runtime: Runtime<unknown>,
+  chainSelectorName: string,
+  forwarder: Address,
+  receiver: Address,
+  header: ReportHeader
+): TransmissionDiagnosis {
+  const data = buildCallData(FORWARDER_ABI, "getTransmissionInfo", [receiver, header.workflowExecutionId, header.reportId]);
+  const reply = getEVMClient(chainSelectorName)
+    .callContract(runtime, {
+      call: encodeCallMsg({ from: zeroAddress, to: forwarder, data }),
+      blockNumber: LATEST_BLOCK_NUMBER,
+    })
+    .result();
+  const info = decodeCallResult<{
+    transmissionId: Hex;
+    state: number;
+    transmitter: Address;
+    invalidReceiver: boolean;
+    success: boolean;
+    gasLimit: bigint;
+  }>(FORWARDER_ABI, "getTransmissionInfo", reply.data);
+  return {
+    transmissionId: info.transmissionId,
+    state: TRANSMISSION_STATES[info.state] ?? String(info.state),
+    transmitter: info.transmitter,
+    invalidReceiver: info.invalidReceiver,
+    success: info.success,
+    gasLimit: String(info.gasLimit),
+  };
+}
+
+/**
+ * Replay onReport as the forwarder. Returns the decoded revert, the raw failure text when it does not decode,
+ * or undefined when the replay succeeds (the revert depended on state at submission, or on gas).
+ */
+function replayOnReport(
+  runtime: Runtime<unknown>,
+  chainSelectorName: string,
+  forwarder: Address,
+  receiver: Address,
+  abi: Abi,
+  header: ReportHeader
+): { errorName?: string; errorArgs?: string[]; reason: string } | undefined {
+  const data = buildCallData(ON_REPORT_ABI, "onReport", [header.metadata, header.report]);
+  try {
+    const reply = getEVMClient(chainSelectorName)
+      .callContract(runtime, {
+        call: encodeCallMsg({ from: forwarder, to: receiver, data }),
+        blockNumber: LATEST_BLOCK_NUMBER,
+      })
+      .result();
+    const returned = reply.data.length > 0 ? (bytesToHex(reply.data) as Hex) : undefined;
+    return returned ? decodeRevertData(abi, returned) : undefined;
+  } catch (err) {
+    const message = errorMessage(err);
+    return decodeRevertFromMessage(abi, message) ?? { reason: message };
+  }
+}
+
+/**
+ * Why the receiver reverted a report. receiverAbi supplies the custom errors (SUB0_ABI, PREDICTION_VAULT_ABI);
+ * rawReport is the rawReport of the runtime.report response that was written.
+ */
+export function diagnoseReceiverRevert(
+  runtime: Runtime<unknown>,
+  chainSelectorName: string,
+  receiver: Address,
+  receiverAbi: Abi,
+  rawReport: Uint8Array | undefined
+): ReceiverRevertDiagnosis {
+  const header = rawReport && rawReport.length > 0 ? parseRawReport(bytesToHex(rawReport) as Hex) : undefined;
+  if (!header) return { reason: "unknown (report header unavailable)" };
+  const diagnosis: ReceiverRevertDiagnosis = {
+    reason: "unknown",
+    workflowExecutionId: header.workflowExecutionId,
+    reportId: header.reportId,
+  };
+
+  try {
+    diagnosis.forwarder = readForwarder(runtime, chainSelectorName, receiver);
+  } catch (err) {
+    runtime.log(`Diagnostics: getForwarderAddress on ${receiver} failed: ${errorMessage(err)}`);
+    return diagnosis;
+  }
+  try {
+    diagnosis.transmission = readTransmissionInfo(runtime, chainSelectorName, diagnosis.forwarder, receiver, header);
+  } catch (err) {
+    runtime.log(`Diagnostics: getTransmissionInfo failed: ${errorMessage(err)}`);
+  }
+
+  const replayed = replayOnReport(runtime, chainSelectorName, diagnosis.forwarder, receiver, receiverAbi, header);
+  if (replayed) {
+    diagnosis.reason = replayed.reason;
+    if (replayed.errorName) diagnosis.errorName = replayed.errorName;
+    if (replayed.errorArgs) diagnosis.errorArgs = replayed.errorArgs;
+  } else if (diagnosis.transmission?.invalidReceiver) {
+    diagnosis.reason = "receiver does not support the IReceiver interface";
+  } else {
+    diagnosis.reason = `replay succeeds at the latest block: the revert depended on state at submission or on gas (gasLimit ${diagnosis.transmission?.gasLimit ?? "?"})`;
+  }
+  runtime.log(`Diagnostics: ${receiver} reverted: ${diagnosis.reason}`);
+  return diagnosis;
+}
@@ -0,0 +1,68 @@
+/**
+ * Dry run for write actions: body.dryRun = true makes main pass a DryRunContext to the handler.
+ * Report writers record the receiver and report hex instead of calling runtime.report / writeReport,
+ * and pre-flight checks are collected instead of thrown so the caller sees every failing check at once.
+ */
+
+import type { DryRunReport, PreflightCheck } from "../types/cre";
+import { CreError, type CreErrorCode } from "./errors";
+
+export interface DryRunContext {
+  reports: DryRunReport[];
+  checks: PreflightCheck[];
+}
+
+/** Options main passes to write handlers. */
+export interface WriteHandlerOptions {
+  dryRun?: DryRunContext;
+}
+
+export function createDryRun(): DryRunContext {
+  return { reports: [], checks: [] };
+}
+
+/**
+ * Pre-flight check. Under dry run the result is recorded; otherwise a failing check throws CreError(code, message).
+ */
+export function preflight(
+  dryRun: DryRunContext | undefined,
+  name: string,
+  ok: boolean,
+  message: string,
+  code: CreErrorCode = "PRECONDITION_FAILED"
+): void {
+  if (dryRun) {
+    dryRun.checks.push({ name, ok, detail: ok ? "ok" : message });
+    return;
+  }
+  if (!ok) throw new CreError(code, message, { check: name });
+}
+
+/**
+ * Record the report a write would send. Returns true under dry run, meaning the caller must skip the write.
+ */
+export function recordDryRunReport(
+  dryRun: DryRunContext | undefined,
+  receiver: `0x${string}`,
+  reportHex: `0x${string}`,
+  label: string
+): boolean {
+  if (!dryRun) return false;
+  dryRun.reports.push({ label, receiver, prefix: reportHex.slice(0, 4) as `0x${string}`, reportHex });
+  return true;
+}
+
+/** Fields main merges into a handler's response under dry run. */
+export function dryRunResult(dryRun: DryRunContext): {
+  dryRun: string;
+  preflightOk: string;
+  reports: DryRunReport[];
+  checks: PreflightCheck[];
+} {
+  return {
+    dryRun: "true",
+    preflightOk: String(dryRun.checks.every((c) => c.ok)),
+    reports: dryRun.reports,
+    checks: dryRun.checks,
+  };
+}
@@ -0,0 +1,54 @@
+import { describe, expect, test } from "bun:test";
+import type { Runtime } from "@chainlink/cre-sdk";
+import Decimal from "decimal.js";
+import { httpStatusForCode, toErrorEnvelope } from "./errors";
+import { costFunction, quantityForBudget } from "./lmsrMath";
+import { resolveLmsrLiquidity } from "./lmsrParams";
+
+const QUESTION_ID = `0x${"11".repeat(32)}` as const;
+const runtime = { log: () => {} } as unknown as Runtime<unknown>;
+const options = {
+  lmsr: { defaultBParameter: "1000000" },
+  outcomeTokenDecimals: 6,
+  usdcDecimals: 6,
+};
+
+/** Envelope main.ts would answer with for whatever fn throws. */
+function envelopeOf(fn: () => unknown) {
+  try {
+    fn();
+  } catch (err) {
+    return toErrorEnvelope(err);
+  }
+  throw new Error("expected a throw");
+}
+
+describe("toErrorEnvelope for LMSR errors", () => {
+  test("request bParameter differing from the trusted value is VALIDATION_FAILED", () => {
+    const envelope = envelopeOf(() =>
+      resolveLmsrLiquidity(runtime, options, QUESTION_ID, 2, { bParameter: "5" })
+    );
+    expect(envelope.code).toBe("VALIDATION_FAILED");
+    expect(httpStatusForCode(envelope.code)).toBe(400);
+  });
+
+  test("unknown pricingModel and missing trusted b are VALIDATION_FAILED", () => {
+    expect(
+      envelopeOf(() => resolveLmsrLiquidity(runtime, options, QUESTION_ID, 2, { pricingModel: "cpmm" })).code
+    ).toBe("VALIDATION_FAILED");
+    expect(
+      envelopeOf(() => resolveLmsrLiquidity(runtime, { ...options, lmsr: {} }, QUESTION_ID, 2)).code
+    ).toBe("VALIDATION_FAILED");
+  });
+
+  test("solver input errors are VALIDATION_FAILED", () => {
+    const envelope = envelopeOf(() => quantityForBudget([new Decimal(0), new Decimal(0)], 0, -1n, new Decimal(1000), 6, 6));
+    expect(envelope.code).toBe("VALIDATION_FAILED");
+  });
+
+  test("supplies beyond the supported range are PRECONDITION_FAILED", () => {
+    const envelope = envelopeOf(() => costFunction([new Decimal("1e31")], new Decimal(1000)));
+    expect(envelope.code).toBe("PRECONDITION_FAILED");
+    expect(httpStatusForCode(envelope.code)).toBe(422);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Error taxonomy for HTTP actions. Handlers throw CreError with a stable code; main.ts turns whatever a handler
+ * throws into the envelope { ok: false, code, message, details } and the gateway maps the code to an HTTP status.
+ * Plain Errors are reported as INTERNAL. No runtime imports, so gateway/server.ts can import this file too.
+ */
+
+export const CRE_ERROR_CODES = [
+  "VALIDATION_FAILED",
+  "UNAUTHORIZED",
+  "FORBIDDEN",
+  "MARKET_NOT_FOUND",
+  "AGENT_NOT_FOUND",
+  "IDEMPOTENCY_KEY_REUSED",
+  "NONCE_USED",
+  "INSUFFICIENT_VAULT_BALANCE",
+  "PRECONDITION_FAILED",
+  "RECEIVER_REVERTED",
+  "TX_FAILED",
+  "UPSTREAM_FAILED",
+  "INTERNAL",
+] as const;
+
+export type CreErrorCode = (typeof CRE_ERROR_CODES)[number];
+
+/** HTTP status the gateway answers with for each code. */
+export const CRE_ERROR_HTTP_STATUS: Record<CreErrorCode, number> = {
+  VALIDATION_FAILED: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  MARKET_NOT_FOUND: 404,
+  AGENT_NOT_FOUND: 404,
+  IDEMPOTENCY_KEY_REUSED: 409,
+  NONCE_USED: 409,
+  INSUFFICIENT_VAULT_BALANCE: 422,
+  PRECONDITION_FAILED: 422,
+  RECEIVER_REVERTED: 422,
+  TX_FAILED: 502,
+  UPSTREAM_FAILED: 502,
+  INTERNAL: 500,
+};
+
+export class CreError extends Error {
+  readonly code: CreErrorCode;
+  readonly details: Record<string, unknown>;
+
+  constructor(code: CreErrorCode, message: string, details: Record<string, unknown> = {}) {
+    super(message);
+    this.name = "CreError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export interface CreErrorEnvelope {
+  ok: false;
+  code: CreErrorCode;
+  message: string;
+  details: Record<string, unknown>;
+}
+
+export function isCreErrorCode(value: unknown): value is CreErrorCode {
+  return typeof value === "string" && (CRE_ERROR_CODES as readonly string[]).includes(value);
+}
+
+export function isCreErrorEnvelope(value: unknown): value is CreErrorEnvelope {
+  if (value == null || typeof value !== "object") return false;
+  const v = value as Record<string, unknown>;
+  return v.ok === false && isCreErrorCode(v.code) && typeof v.message === "string";
+}
+
+/** Envelope for anything a handler threw; non-CreError values become INTERNAL. */
+export function toErrorEnvelope(err: unknown): CreErrorEnvelope {
+  if (err instanceof CreError) {
+    return { ok: false, code: err.code, message: err.message, details: err.details };
+  }
+  return { ok: false, code: "INTERNAL", message: err instanceof Error ? err.message : String(err), details: {} };
+}
+
+export function httpStatusForCode(code: CreErrorCode): number {
+  return CRE_ERROR_HTTP_STATUS[code] ?? 500;
+}
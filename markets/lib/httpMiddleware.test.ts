@@ -0,0 +1,65 @@
+import { describe, expect, test } from "bun:test";
+import { CreError } from "./errors";
+import { authenticateHttpBody, type SecretReader } from "./httpMiddleware";
+
+/** Shaped like cre-sdk's SecretsError: the host's error string on .error. */
+function secretsError(hostError: string): Error {
+  const err = new Error(`secret retrieval failed: ${hostError}`) as Error & { error: string };
+  err.name = "SecretsError";
+  err.error = hostError;
+  return err;
+}
+
+function throwing(err: Error): SecretReader {
+  return () => {
+    throw err;
+  };
+}
+
+function rejectionReason(fn: () => unknown): unknown {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(CreError);
+    expect((err as CreError).code).toBe("UNAUTHORIZED");
+    return (err as CreError).details.reason;
+  }
+  throw new Error("expected a rejection");
+}
+
+const now = Date.now();
+
+describe("authenticateHttpBody secret reads", () => {
+  test("legacy HTTP_API_KEY not declared: no auth, as before keys existed", () => {
+    const { principal } = authenticateHttpBody(undefined, {}, throwing(secretsError("secret not found")), now);
+    expect(principal.name).toBe("anonymous");
+  });
+
+  test("legacy HTTP_API_KEY declared but unreadable fails closed", () => {
+    const reason = rejectionReason(() =>
+      authenticateHttpBody(undefined, { apiKey: "k" }, throwing(secretsError("vault timeout")), now)
+    );
+    expect(reason).toBe("secret_unreadable");
+  });
+
+  test("a non-SecretsError failure fails closed", () => {
+    const reason = rejectionReason(() => authenticateHttpBody(undefined, {}, throwing(new Error("not found")), now));
+    expect(reason).toBe("secret_unreadable");
+  });
+
+  test("configured keys: an undeclared secret fails closed", () => {
+    const config = { keys: [{ name: "backend", secretId: "BACKEND_KEY", scopes: ["trader" as const] }] };
+    const reason = rejectionReason(() =>
+      authenticateHttpBody(config, { apiKey: "k" }, throwing(secretsError("secret not found")), now)
+    );
+    expect(reason).toBe("secret_unreadable");
+  });
+
+  test("legacy key set: apiKey is checked", () => {
+    const read: SecretReader = () => "s3cret";
+    expect(authenticateHttpBody(undefined, { apiKey: "s3cret" }, read, now).principal.name).toBe("default");
+    expect(rejectionReason(() => authenticateHttpBody(undefined, { apiKey: "nope" }, read, now))).toBe(
+      "invalid_api_key"
+    );
+  });
+});
@@ -1,33 +1,301 @@
 /**
- * HTTP trigger middleware: verify API key when configured.
- * If secret HTTP_API_KEY (namespace sub0) is set, requires body.apiKey to match.
+ * HTTP trigger middleware: authenticate the caller against the keys in config.httpAuth.keys (default: one key
+ * "default" in secret HTTP_API_KEY, namespace sub0, with every scope), then authorize the action by scope.
+ * config.httpAuth.mode selects how a key is presented:
+ * - "apiKey" (default): body.apiKey equals one key's secret. With no keys configured and HTTP_API_KEY empty,
+ *   no check is performed.
+ * - "hmac": body.auth = { keyId?, timestamp, nonce, signature } where signature = HMAC-SHA256(secret,
+ *   `${timestamp}.${nonce}.${canonicalBody(body)}`) as 0x hex. The secret never travels; the timestamp must be
+ *   within config.httpAuth.maxSkewSeconds of the DON clock and a nonce is accepted once.
+ * Secrets and signatures are compared in constant time. A key whose secret cannot be read rejects the request
+ * (fail closed); only a secret that reads as empty counts as unset. Every rejection carries details.reason
+ * (AuthFailureReason) so callers can count failures (gateway/authFailures.ts).
  */
 
 import type { Runtime } from "@chainlink/cre-sdk";
+import { bytesToHex, concat, sha256, stringToBytes, type Hex } from "viem";
+import type { HttpAuthConfig, HttpAuthKeyConfig, HttpScope } from "../types/config";
+import { CreError } from "./errors";
 
 const API_KEY_SECRET_ID = "HTTP_API_KEY";
+/** Every scope; what the implicit "default" key (and an unconfigured trigger) is granted. */
+export const HTTP_SCOPES: readonly HttpScope[] = ["read-only", "trader", "platform-admin", "settlement"];
+export const DEFAULT_HMAC_MAX_SKEW_SECONDS = 300;
+const SHA256_BLOCK_BYTES = 64;
+export const HMAC_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/** details.reason of an UNAUTHORIZED / FORBIDDEN error. */
+export type AuthFailureReason =
+  | "missing_credentials"
+  | "invalid_api_key"
+  | "malformed_auth"
+  | "unknown_key"
+  | "invalid_signature"
+  | "stale_timestamp"
+  | "nonce_reused"
+  | "secret_unreadable"
+  | "no_key_configured"
+  | "forbidden_scope";
+
+function unauthorized(reason: AuthFailureReason, message: string, details: Record<string, unknown> = {}): CreError {
+  return new CreError("UNAUTHORIZED", `Unauthorized: ${message}`, { reason, ...details });
+}
+
+export interface HmacAuth {
+  /** Name of the key in config.httpAuth.keys; optional when only one key is configured. */
+  keyId?: string;
+  /** Unix seconds. */
+  timestamp: number;
+  /** Caller-chosen random token (16-128 chars of A-Z a-z 0-9 _ -). */
+  nonce: string;
+  signature: Hex;
+}
+
+/** Body keys that are not signed: the signature itself and the plaintext key of apiKey mode. */
+const UNSIGNED_BODY_KEYS = new Set(["auth", "apiKey"]);
+
+function sortKeysDeep(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(sortKeysDeep);
+  if (value != null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((k) => [k, sortKeysDeep((value as Record<string, unknown>)[k])])
+    );
+  }
+  return value;
+}
+
+/** JSON of the body without auth / apiKey, object keys sorted at every level, no whitespace. */
+export function canonicalBody(body: Record<string, unknown>): string {
+  const signed = Object.fromEntries(Object.entries(body).filter(([k]) => !UNSIGNED_BODY_KEYS.has(k)));
+  return JSON.stringify(sortKeysDeep(signed));
+}
+
+/** RFC 2104 HMAC over viem's sha256 (the workflow has no node:crypto). */
+export function hmacSha256(secret: string, message: string): Hex {
+  let key = stringToBytes(secret);
+  if (key.length > SHA256_BLOCK_BYTES) key = sha256(key, "bytes");
+  const block = new Uint8Array(SHA256_BLOCK_BYTES);
+  block.set(key);
+  const inner = block.map((b) => b ^ 0x36);
+  const outer = block.map((b) => b ^ 0x5c);
+  const innerHash = sha256(concat([inner, stringToBytes(message)]), "bytes");
+  return bytesToHex(sha256(concat([outer, innerHash]), "bytes"));
+}
 
 /**
- * Verifies API key when CRE secret HTTP_API_KEY is configured.
- * Expects body.apiKey (string). If secret exists and is non-empty, throws if body.apiKey !== secret.value.
- * If secret is not set or empty, no check is performed.
+ * String equality whose running time does not depend on where the inputs differ: both sides are hashed to
+ * 32 bytes first, so the length of the secret does not leak either.
  */
-export function verifyApiKey(
-  runtime: Runtime<unknown>,
-  body: Record<string, unknown>
-): void {
+export function constantTimeEqual(a: string, b: string): boolean {
+  const x = sha256(stringToBytes(a), "bytes");
+  const y = sha256(stringToBytes(b), "bytes");
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+/** Build body.auth for a request (callers, scripts). */
+export function signHttpBody(
+  secret: string,
+  body: Record<string, unknown>,
+  timestamp: number,
+  nonce: string,
+  keyId?: string
+): HmacAuth {
+  const signature = hmacSha256(secret, `${timestamp}.${nonce}.${canonicalBody(body)}`);
+  return { ...(keyId ? { keyId } : {}), timestamp, nonce, signature };
+}
+
+/**
+ * Nonces seen within the freshness window. remember() returns false for a repeat.
+ * Lives as long as the process: a workflow instance (best effort; the DON may start a fresh one per run)
+ * or the simulate gateway, which keeps one for every request it forwards.
+ */
+export function createNonceCache() {
+  const seen = new Map<string, number>();
+  return {
+    remember(nonce: string, nowMs: number, windowMs: number): boolean {
+      for (const [n, expiresAt] of seen) {
+        if (expiresAt <= nowMs) seen.delete(n);
+      }
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, nowMs + windowMs);
+      return true;
+    },
+  };
+}
+
+const workflowNonces = createNonceCache();
+
+/** Who made the request: the matched key, or "anonymous" when auth is not configured. */
+export interface HttpPrincipal {
+  name: string;
+  scopes: readonly HttpScope[];
+}
+
+/** Secret value by id, "" when unset. Throws when the secret exists but cannot be read. */
+export type SecretReader = (id: string) => string;
+
+/** Host answers for a secret id the workflow never declared, as opposed to a read that failed. */
+const UNDECLARED_SECRET_PATTERN = /not found|not declared|does not exist|no such secret|unknown secret/i;
+
+/** getSecret failed because the id is not declared (a cre-sdk SecretsError with the host's error), not a read error. */
+export function isUndeclaredSecretError(err: unknown): boolean {
+  if (!(err instanceof Error) || err.name !== "SecretsError") return false;
+  const hostError = (err as Error & { error?: unknown }).error;
+  return typeof hostError === "string" && UNDECLARED_SECRET_PATTERN.test(hostError);
+}
+
+/**
+ * Read a key's secret; a throwing reader rejects the request instead of disabling the check. The one exception is
+ * the implicit "default" key (no config.httpAuth.keys): HTTP_API_KEY not declared at all counts as unset, as it did
+ * before keys existed, so deployments that never declared it keep running without auth.
+ */
+function readKeySecret(readSecret: SecretReader, key: HttpAuthKeyConfig, legacy: boolean): string {
   try {
-    const secret = runtime.getSecret({ id: API_KEY_SECRET_ID }).result();
-    const expected = secret?.value?.trim() ?? "";
-    if (expected.length === 0) return;
-
-    const provided = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
-    if (provided !== expected) {
-      runtime.log("HTTP trigger: API key missing or invalid.");
-      throw new Error("Unauthorized: invalid or missing apiKey");
+    return readSecret(key.secretId);
+  } catch (err) {
+    if (legacy && isUndeclaredSecretError(err)) return "";
+    throw unauthorized("secret_unreadable", `secret for key ${key.name} could not be read`, {
+      key: key.name,
+      cause: err instanceof Error ? err.message : String(err),
+    });
+  }
+}
+
+function configuredKeys(config: HttpAuthConfig | undefined): { keys: HttpAuthKeyConfig[]; legacy: boolean } {
+  if (config?.keys?.length) return { keys: config.keys, legacy: false };
+  return { keys: [{ name: "default", secretId: API_KEY_SECRET_ID, scopes: [...HTTP_SCOPES] }], legacy: true };
+}
+
+/** body.auth with its fields type-checked; throws UNAUTHORIZED when missing or malformed. */
+export function readHmacAuth(body: Record<string, unknown>): HmacAuth {
+  const auth = body.auth as Record<string, unknown> | undefined;
+  const keyId = typeof auth?.keyId === "string" ? auth.keyId : undefined;
+  const timestamp = Number(auth?.timestamp);
+  const nonce = typeof auth?.nonce === "string" ? auth.nonce : "";
+  const signature = typeof auth?.signature === "string" ? auth.signature.toLowerCase() : "";
+  if (
+    !Number.isSafeInteger(timestamp) ||
+    !HMAC_NONCE_PATTERN.test(nonce) ||
+    !/^0x[0-9a-f]{64}$/.test(signature)
+  ) {
+    throw unauthorized(
+      auth == null ? "missing_credentials" : "malformed_auth",
+      "body.auth must be { keyId?, timestamp, nonce, signature }"
+    );
+  }
+  return { keyId, timestamp, nonce, signature: signature as Hex };
+}
+
+/**
+ * HMAC mode without the replay check: signature over the canonical body, then the freshness window.
+ * Returns body.auth so the caller can record its nonce.
+ */
+export function checkHmacAuth(
+  secret: string,
+  body: Record<string, unknown>,
+  nowMs: number,
+  maxSkewSeconds: number = DEFAULT_HMAC_MAX_SKEW_SECONDS
+): HmacAuth {
+  const auth = readHmacAuth(body);
+  const expected = hmacSha256(secret, `${auth.timestamp}.${auth.nonce}.${canonicalBody(body)}`);
+  if (!constantTimeEqual(auth.signature, expected)) {
+    throw unauthorized("invalid_signature", "invalid signature");
+  }
+  if (Math.abs(nowMs / 1000 - auth.timestamp) > maxSkewSeconds) {
+    throw unauthorized("stale_timestamp", `auth.timestamp is outside the ${maxSkewSeconds}s window`, {
+      timestamp: auth.timestamp,
+    });
+  }
+  return auth;
+}
+
+/**
+ * Resolve the caller from the body without the replay check (the workflow and the gateway keep their own nonce
+ * caches). Returns the principal and, in hmac mode, the nonce to record.
+ */
+export function authenticateHttpBody(
+  config: HttpAuthConfig | undefined,
+  body: Record<string, unknown>,
+  readSecret: SecretReader,
+  nowMs: number
+): { principal: HttpPrincipal; nonce?: string } {
+  const { keys, legacy } = configuredKeys(config);
+
+  if (config?.mode === "hmac") {
+    const { keyId } = readHmacAuth(body);
+    const key = keyId != null ? keys.find((k) => k.name === keyId) : keys.length === 1 ? keys[0] : undefined;
+    if (!key) {
+      throw unauthorized("unknown_key", keyId != null ? `unknown keyId ${keyId}` : "auth.keyId is required");
     }
+    const secret = readKeySecret(readSecret, key, legacy);
+    if (secret.length === 0) {
+      throw unauthorized("no_key_configured", "HMAC auth is enabled but no key is configured", { key: key.name });
+    }
+    const auth = checkHmacAuth(secret, body, nowMs, config.maxSkewSeconds ?? DEFAULT_HMAC_MAX_SKEW_SECONDS);
+    return { principal: { name: key.name, scopes: key.scopes }, nonce: auth.nonce };
+  }
+
+  const candidates = keys
+    .map((key) => ({ key, secret: readKeySecret(readSecret, key, legacy) }))
+    .filter((c) => c.secret.length > 0);
+  if (candidates.length === 0) {
+    if (legacy) return { principal: { name: "anonymous", scopes: HTTP_SCOPES } };
+    throw unauthorized("no_key_configured", "no configured key has a secret value");
+  }
+  const provided = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
+  if (provided.length === 0) {
+    throw unauthorized("missing_credentials", "invalid or missing apiKey");
+  }
+  /** Compare against every key so the time taken does not reveal which one matched. */
+  let match: (typeof candidates)[number] | undefined;
+  for (const c of candidates) {
+    if (constantTimeEqual(c.secret, provided) && !match) match = c;
+  }
+  if (!match) {
+    throw unauthorized("invalid_api_key", "invalid or missing apiKey");
+  }
+  return { principal: { name: match.key.name, scopes: match.key.scopes } };
+}
+
+/** getSecret errors propagate: readKeySecret sorts undeclared from unreadable (secret_unreadable rejection). */
+function runtimeSecretReader(runtime: Runtime<unknown>): SecretReader {
+  return (id) => runtime.getSecret({ id }).result()?.value?.trim() ?? "";
+}
+
+/** Authenticate the HTTP trigger body with config.httpAuth; in hmac mode a nonce is accepted once. */
+export function verifyHttpAuth(
+  runtime: Runtime<unknown>,
+  body: Record<string, unknown>,
+  config: HttpAuthConfig | undefined
+): HttpPrincipal {
+  const nowMs = runtime.now().getTime();
+  let result: { principal: HttpPrincipal; nonce?: string };
+  try {
+    result = authenticateHttpBody(config, body, runtimeSecretReader(runtime), nowMs);
   } catch (err) {
-    if (err instanceof Error && err.message === "Unauthorized: invalid or missing apiKey") throw err;
-    return;
+    runtime.log(`HTTP trigger: auth rejected (${err instanceof Error ? err.message : String(err)}).`);
+    throw err;
+  }
+  const maxSkewSeconds = config?.maxSkewSeconds ?? DEFAULT_HMAC_MAX_SKEW_SECONDS;
+  /** A nonce can be replayed until its timestamp leaves the window on either side. */
+  if (result.nonce != null && !workflowNonces.remember(result.nonce, nowMs, 2 * maxSkewSeconds * 1000)) {
+    throw unauthorized("nonce_reused", "auth.nonce was already used");
   }
+  return result.principal;
+}
+
+/** Throws FORBIDDEN unless the principal holds one of the scopes the action accepts. */
+export function authorizeAction(principal: HttpPrincipal, action: string, scopes: readonly HttpScope[]): void {
+  if (scopes.some((s) => principal.scopes.includes(s))) return;
+  throw new CreError("FORBIDDEN", `Key ${principal.name} is not allowed to call ${action}`, {
+    reason: "forbidden_scope" satisfies AuthFailureReason,
+    key: principal.name,
+    action,
+    requiredScopes: scopes,
+    grantedScopes: principal.scopes,
+  });
 }
@@ -0,0 +1,23 @@
+/**
+ * body.idempotencyKey for write actions. The workflow itself is stateless, so it only validates the key and echoes it
+ * in the response and backend callback; replaying a repeated key is the caller's or gateway's job
+ * (gateway/idempotencyStore.ts). createMarket is additionally safe to retry on-chain: it returns the existing market.
+ */
+
+import { PayloadValidationError } from "./payloadValidation";
+
+/** Printable token, e.g. a UUID or "createMarket:<draftId>". */
+export const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/** body.idempotencyKey trimmed, or undefined when absent / empty. Throws PayloadValidationError when malformed. */
+export function readIdempotencyKey(action: string, body: Record<string, unknown>): string | undefined {
+  const raw = body.idempotencyKey;
+  if (raw == null || raw === "") return undefined;
+  const key = typeof raw === "string" ? raw.trim() : "";
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new PayloadValidationError(action, [
+      { field: "idempotencyKey", message: "must be 1-128 characters of A-Z a-z 0-9 . _ : -" },
+    ]);
+  }
+  return key;
+}
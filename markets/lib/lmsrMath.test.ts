@@ -0,0 +1,117 @@
+import { describe, expect, test } from "bun:test";
+import Decimal from "decimal.js";
+import { costFunction, costToBuy, costToSell, LmsrInputError, LmsrRangeError, marginalPrices } from "./lmsrMath";
+
+/** costToBuy as it was before log-sum-exp: C(q) = b * ln(∑ e^(q_i/b)) with plain Decimal.exp. */
+function referenceCostToBuy(q: Decimal[], outcomeIndex: number, quantity: Decimal, b: Decimal): Decimal {
+  const cost = (qs: Decimal[]) => {
+    let sum = new Decimal(0);
+    for (const qi of qs) sum = sum.plus(Decimal.exp(qi.div(b)));
+    return b.times(Decimal.ln(sum));
+  };
+  const qPrime = q.map((qi, i) => (i === outcomeIndex ? qi.plus(quantity) : qi));
+  return cost(qPrime).minus(cost(q));
+}
+
+/** Deterministic pseudo-random integers so failures reproduce. */
+function rng(seed: number): (max: number) => number {
+  let s = seed;
+  return (max) => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s % max;
+  };
+}
+
+function closeTo(actual: Decimal, expected: Decimal, relTol = "1e-15"): boolean {
+  const scale = Decimal.max(expected.abs(), 1);
+  return actual.minus(expected).abs().lte(scale.times(relTol));
+}
+
+const b = new Decimal(1000);
+
+describe("costToBuy matches the previous formula", () => {
+  test("random markets within the old formula's range", () => {
+    const next = rng(7);
+    for (let run = 0; run < 200; run++) {
+      const n = 2 + next(3);
+      const q = Array.from({ length: n }, () => new Decimal(next(5000)));
+      const k = next(n);
+      const x = new Decimal(1 + next(2000));
+      expect(closeTo(costToBuy(q, k, x, b), referenceCostToBuy(q, k, x, b))).toBe(true);
+    }
+  });
+});
+
+describe("path independence", () => {
+  test("buying x then y costs the same as buying x + y", () => {
+    const next = rng(11);
+    for (let run = 0; run < 200; run++) {
+      const q = [new Decimal(next(4000)), new Decimal(next(4000)), new Decimal(next(4000))];
+      const k = next(3);
+      const x = new Decimal(1 + next(1500));
+      const y = new Decimal(1 + next(1500));
+      const first = costToBuy(q, k, x, b);
+      const afterFirst = q.map((qi, i) => (i === k ? qi.plus(x) : qi));
+      const split = first.plus(costToBuy(afterFirst, k, y, b));
+      expect(closeTo(split, costToBuy(q, k, x.plus(y), b))).toBe(true);
+    }
+  });
+
+  test("a round trip through two outcomes returns to C(q)", () => {
+    const q = [new Decimal(120), new Decimal(80)];
+    const x = new Decimal(50);
+    const viaZero = costToBuy(q, 0, x, b).plus(costToBuy([q[0].plus(x), q[1]], 1, x, b));
+    const viaOne = costToBuy(q, 1, x, b).plus(costToBuy([q[0], q[1].plus(x)], 0, x, b));
+    expect(closeTo(viaZero, viaOne)).toBe(true);
+  });
+
+  test("selling what was bought refunds the cost", () => {
+    const q = [new Decimal(300), new Decimal(10), new Decimal(0)];
+    const x = new Decimal(250);
+    const bought = costToBuy(q, 1, x, b);
+    const refund = costToSell([q[0], q[1].plus(x), q[2]], 1, x, b);
+    expect(closeTo(refund, bought)).toBe(true);
+  });
+});
+
+describe("monotonicity", () => {
+  test("cost grows with quantity and with the outcome's supply", () => {
+    const next = rng(23);
+    for (let run = 0; run < 100; run++) {
+      const q = [new Decimal(next(3000)), new Decimal(next(3000))];
+      const x = new Decimal(1 + next(1000));
+      expect(costToBuy(q, 0, x.plus(1), b).gt(costToBuy(q, 0, x, b))).toBe(true);
+      const richer = [q[0].plus(100), q[1]];
+      expect(costToBuy(richer, 0, x, b).gt(costToBuy(q, 0, x, b))).toBe(true);
+    }
+  });
+
+  test("buying an outcome raises its price and cost stays between price bounds", () => {
+    const q = [new Decimal(200), new Decimal(0), new Decimal(50)];
+    const x = new Decimal(400);
+    const before = marginalPrices(q, b);
+    const after = marginalPrices([q[0], q[1].plus(x), q[2]], b);
+    expect(after[1].gt(before[1])).toBe(true);
+    const cost = costToBuy(q, 1, x, b);
+    expect(cost.gt(before[1].times(x))).toBe(true);
+    expect(cost.lt(after[1].times(x))).toBe(true);
+  });
+});
+
+describe("stability and errors", () => {
+  test("18-decimal supplies with small b do not overflow", () => {
+    const q = [new Decimal("5e20"), new Decimal("1e18")];
+    const cost = costToBuy(q, 0, new Decimal("1e18"), new Decimal("1e17"));
+    expect(cost.isFinite()).toBe(true);
+    // the leading outcome's price is ~1, so buying it costs ~ the quantity
+    expect(closeTo(cost, new Decimal("1e18"), "1e-9")).toBe(true);
+    expect(costFunction(q, new Decimal("1e17")).isFinite()).toBe(true);
+  });
+
+  test("invalid and out-of-range inputs throw typed errors", () => {
+    expect(() => costFunction([new Decimal(1)], new Decimal(0))).toThrow(LmsrInputError);
+    expect(() => costToBuy([new Decimal(1)], 1, new Decimal(1), b)).toThrow(LmsrInputError);
+    expect(() => costToBuy([new Decimal(1)], 0, new Decimal(-1), b)).toThrow(LmsrInputError);
+    expect(() => costFunction([new Decimal("1e31")], b)).toThrow(LmsrRangeError);
+  });
+});
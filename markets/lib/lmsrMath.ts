@@ -1,28 +1,211 @@
 /**
  * LMSR cost function: C(q) = b * ln(∑ e^(q_i/b)).
  * Trade cost for buying x of outcome k: cost = C(q') - C(q), q'_k = q_k + x.
- * Uses decimal.js for numerical precision.
+ * Refund for selling x of outcome k: refund = C(q) - C(q'), q'_k = q_k - x.
+ * Inverse (budget) quoting solves for x given a USDC amount by bisection on the integer quantity.
+ *
+ * Evaluated as log-sum-exp, C(q) = b * (m + ln ∑ e^(q_i/b - m)) with m = max_i q_i/b, so no exponent
+ * is ever positive and raw 6/18-decimal balances with small b cannot overflow. Math runs on a
+ * higher-precision decimal.js clone so C(q') - C(q) keeps its low digits when C(q) is large.
+ * Invalid inputs throw LmsrInputError; supplies too large to price to the base unit throw LmsrRangeError. Both are
+ * CreErrors (VALIDATION_FAILED / PRECONDITION_FAILED), so a bad request reaches the caller as a 4xx, not INTERNAL.
+ *
+ * LS-LMSR (liquidity-sensitive, Othman et al.) replaces the fixed b with b(q) = alpha * ∑ q_i, so depth grows
+ * with outstanding shares: C(q) = b(q) * ln(∑ e^(q_i/b(q))). Prices then sum to slightly more than 1 (at most
+ * 1 + alpha * n * ln(n)), which is the market maker's spread. The cost, price and solver functions take either
+ * a bare Decimal b (fixed-b LMSR) or an LmsrLiquidity describing the market's model.
  */
 
 import Decimal from "decimal.js";
+import { CreError } from "./errors";
+
+/** Significant digits for LMSR math (decimal.js default is 20, too few for C(q') - C(q) on 18-decimal balances). */
+const LMSR_PRECISION = 40;
+
+/** Largest |q_i| accepted: keeps 10 digits below the base unit at LMSR_PRECISION, so C(q') - C(q) stays exact. */
+const MAX_SUPPLY_MAGNITUDE = new Decimal("1e30");
+
+const LmsrDecimal = Decimal.clone({ precision: LMSR_PRECISION });
+
+/** Invalid LMSR argument: non-positive b, empty or non-finite q, negative quantity, outcome index out of range. */
+export class LmsrInputError extends CreError {
+  constructor(message: string) {
+    super("VALIDATION_FAILED", message);
+    this.name = "LmsrInputError";
+  }
+}
+
+/** LMSR input outside the numerically supported range (|q_i| above MAX_SUPPLY_MAGNITUDE, non-finite cost). */
+export class LmsrRangeError extends CreError {
+  constructor(message: string) {
+    super("PRECONDITION_FAILED", message);
+    this.name = "LmsrRangeError";
+  }
+}
+
+/** Pricing model: fixed-b LMSR, or liquidity-sensitive LMSR with b(q) = alpha * ∑ q_i. */
+export type LmsrPricingModel = "lmsr" | "ls-lmsr";
+
+export const LMSR_PRICING_MODELS: readonly LmsrPricingModel[] = ["lmsr", "ls-lmsr"];
+
+/** Liquidity of a market under its pricing model: fixed b, or the LS-LMSR alpha. */
+export type LmsrLiquidity = { model: "lmsr"; b: Decimal } | { model: "ls-lmsr"; alpha: Decimal };
+
+function toLiquidity(liquidity: Decimal | LmsrLiquidity): LmsrLiquidity {
+  return Decimal.isDecimal(liquidity) ? { model: "lmsr", b: liquidity } : liquidity;
+}
+
+function assertLiquidity(b: Decimal): Decimal {
+  if (!b.isFinite() || b.lte(0)) {
+    throw new LmsrInputError("LMSR bParameter must be positive");
+  }
+  return new LmsrDecimal(b);
+}
+
+function assertSupplies(q: Decimal[]): Decimal[] {
+  if (q.length === 0) {
+    throw new LmsrInputError("LMSR requires at least one outcome");
+  }
+  return q.map((qi, i) => {
+    if (!qi.isFinite()) {
+      throw new LmsrInputError(`LMSR q[${i}] must be finite`);
+    }
+    if (qi.abs().gt(MAX_SUPPLY_MAGNITUDE)) {
+      throw new LmsrRangeError(`LMSR |q[${i}]| exceeds ${MAX_SUPPLY_MAGNITUDE.toString()}; cost differences would lose precision`);
+    }
+    return new LmsrDecimal(qi);
+  });
+}
+
+function assertAlpha(alpha: Decimal): Decimal {
+  if (!alpha.isFinite() || alpha.lte(0)) {
+    throw new LmsrInputError("LS-LMSR alpha must be positive");
+  }
+  return new LmsrDecimal(alpha);
+}
+
+/** LS-LMSR is only defined for non-negative supplies (b(q) must stay positive). */
+function assertNonNegativeSupplies(q: Decimal[]): Decimal[] {
+  const qp = assertSupplies(q);
+  qp.forEach((qi, i) => {
+    if (qi.isNegative()) {
+      throw new LmsrInputError(`LS-LMSR q[${i}] must be non-negative`);
+    }
+  });
+  return qp;
+}
+
+function totalSupply(q: Decimal[]): Decimal {
+  let total = new LmsrDecimal(0);
+  for (const qi of q) total = total.plus(qi);
+  return total;
+}
+
+function assertOutcomeIndex(q: Decimal[], outcomeIndex: number): void {
+  if (!Number.isInteger(outcomeIndex) || outcomeIndex < 0 || outcomeIndex >= q.length) {
+    throw new LmsrInputError("LMSR outcomeIndex out of range");
+  }
+}
+
+function assertQuantity(quantity: Decimal): Decimal {
+  if (!quantity.isFinite() || quantity.isNegative()) {
+    throw new LmsrInputError("LMSR quantity must be a non-negative finite number");
+  }
+  return new LmsrDecimal(quantity);
+}
 
 /**
- * Cost function C(q) = b * ln(∑_i e^(q_i/b)).
- * q: array of outstanding shares per outcome (same unit as b).
- * b: liquidity parameter (positive).
+ * Scaled exponents q_i/b, their max m, and e^(q_i/b - m) (each in (0, 1]) with their sum (in [1, n]).
  */
-export function costFunction(q: Decimal[], b: Decimal): Decimal {
-  if (b.lte(0)) {
-    throw new Error("LMSR bParameter must be positive");
+function shiftedExponentials(q: Decimal[], b: Decimal): { max: Decimal; exps: Decimal[]; sum: Decimal } {
+  const scaled = q.map((qi) => qi.div(b));
+  let max = scaled[0];
+  for (const x of scaled) {
+    if (x.gt(max)) max = x;
   }
-  let sum = new Decimal(0);
-  for (let i = 0; i < q.length; i++) {
-    sum = sum.plus(Decimal.exp(q[i].div(b)));
+  const exps = scaled.map((x) => LmsrDecimal.exp(x.minus(max)));
+  let sum = new LmsrDecimal(0);
+  for (const e of exps) sum = sum.plus(e);
+  return { max, exps, sum };
+}
+
+/** LS-LMSR C(q) with b(q) = alpha * ∑ q_i; C(0) = 0 (the limit as q -> 0). */
+function lsCostFunction(q: Decimal[], alpha: Decimal): Decimal {
+  const a = assertAlpha(alpha);
+  const qp = assertNonNegativeSupplies(q);
+  const total = totalSupply(qp);
+  if (total.isZero()) return new LmsrDecimal(0);
+  const b = a.times(total);
+  const { max, sum } = shiftedExponentials(qp, b);
+  return b.times(max.plus(LmsrDecimal.ln(sum)));
+}
+
+/**
+ * LS-LMSR prices p_i = alpha * ln(∑_j e^(q_j/b)) + (∑_j q_j * e^(q_i/b) - ∑_j q_j * e^(q_j/b)) / (∑_j q_j * ∑_j e^(q_j/b)).
+ * The second term is a ratio of sums of e^(q/b), so the shifted exponentials can be used as-is.
+ */
+function lsMarginalPrices(q: Decimal[], alpha: Decimal): Decimal[] {
+  const a = assertAlpha(alpha);
+  const qp = assertNonNegativeSupplies(q);
+  const total = totalSupply(qp);
+  if (total.isZero()) {
+    throw new LmsrInputError("LS-LMSR prices require a positive total supply (seed the market first)");
   }
-  if (sum.lte(0)) {
-    throw new Error("LMSR sum of exponentials must be positive");
+  const { max, exps, sum } = shiftedExponentials(qp, a.times(total));
+  const spread = a.times(max.plus(LmsrDecimal.ln(sum)));
+  let weighted = new LmsrDecimal(0);
+  exps.forEach((e, j) => {
+    weighted = weighted.plus(qp[j].times(e));
+  });
+  const denominator = total.times(sum);
+  return exps.map((e) => spread.plus(total.times(e).minus(weighted).div(denominator)));
+}
+
+/**
+ * Effective liquidity parameter at q: b for fixed-b LMSR, alpha * ∑ q_i for LS-LMSR.
+ */
+export function effectiveLiquidity(q: Decimal[], liquidity: Decimal | LmsrLiquidity): Decimal {
+  const liq = toLiquidity(liquidity);
+  if (liq.model === "ls-lmsr") {
+    return assertAlpha(liq.alpha).times(totalSupply(assertNonNegativeSupplies(q)));
   }
-  return b.times(Decimal.ln(sum));
+  return assertLiquidity(liq.b);
+}
+
+/**
+ * Cost function C(q) = b * ln(∑_i e^(q_i/b)) = b * (m + ln ∑_i e^(q_i/b - m)).
+ * q: array of outstanding shares per outcome (same unit as b).
+ * liquidity: b (positive), or an LmsrLiquidity (LS-LMSR uses b = alpha * ∑ q_i).
+ */
+export function costFunction(q: Decimal[], liquidity: Decimal | LmsrLiquidity): Decimal {
+  const liq = toLiquidity(liquidity);
+  if (liq.model === "ls-lmsr") return lsCostFunction(q, liq.alpha);
+  const bp = assertLiquidity(liq.b);
+  const { max, sum } = shiftedExponentials(assertSupplies(q), bp);
+  return bp.times(max.plus(LmsrDecimal.ln(sum)));
+}
+
+/**
+ * Instantaneous prices p_i = ∂C/∂q_i.
+ * Fixed b: e^(q_i/b) / ∑_j e^(q_j/b) (softmax of q/b), sums to 1. LS-LMSR: see lsMarginalPrices, sums to >= 1.
+ */
+export function marginalPrices(q: Decimal[], liquidity: Decimal | LmsrLiquidity): Decimal[] {
+  const liq = toLiquidity(liquidity);
+  if (liq.model === "ls-lmsr") return lsMarginalPrices(q, liq.alpha);
+  const bp = assertLiquidity(liq.b);
+  const { exps, sum } = shiftedExponentials(assertSupplies(q), bp);
+  return exps.map((e) => e.div(sum));
+}
+
+/**
+ * Market maker worst-case loss b * ln(n) for n outcomes (same unit as b).
+ */
+export function worstCaseLoss(outcomeCount: number, b: Decimal): Decimal {
+  const bp = assertLiquidity(b);
+  if (!Number.isInteger(outcomeCount) || outcomeCount < 1) {
+    throw new LmsrInputError("LMSR outcomeCount must be at least 1");
+  }
+  return bp.times(LmsrDecimal.ln(outcomeCount));
 }
 
 /**
@@ -33,28 +216,281 @@ export function costToBuy(
   q: Decimal[],
   outcomeIndex: number,
   quantity: Decimal,
-  b: Decimal
+  liquidity: Decimal | LmsrLiquidity
 ): Decimal {
-  if (outcomeIndex < 0 || outcomeIndex >= q.length) {
-    throw new Error("LMSR outcomeIndex out of range");
-  }
-  const qPrime = q.map((qi, i) => (i === outcomeIndex ? qi.plus(quantity) : qi));
-  const cBefore = costFunction(q, b);
-  const cAfter = costFunction(qPrime, b);
+  assertOutcomeIndex(q, outcomeIndex);
+  const qp = assertSupplies(q);
+  const x = assertQuantity(quantity);
+  const qPrime = qp.map((qi, i) => (i === outcomeIndex ? qi.plus(x) : qi));
+  const cBefore = costFunction(qp, liquidity);
+  const cAfter = costFunction(qPrime, liquidity);
   return cAfter.minus(cBefore);
 }
 
+/**
+ * Refund for selling `quantity` shares of outcome `outcomeIndex` given current supplies `q`.
+ * refund = C(q) - C(q') where q'[outcomeIndex] = q[outcomeIndex] - quantity.
+ */
+export function costToSell(
+  q: Decimal[],
+  outcomeIndex: number,
+  quantity: Decimal,
+  liquidity: Decimal | LmsrLiquidity
+): Decimal {
+  assertOutcomeIndex(q, outcomeIndex);
+  const qp = assertSupplies(q);
+  const x = assertQuantity(quantity);
+  if (toLiquidity(liquidity).model === "ls-lmsr" && x.gt(qp[outcomeIndex])) {
+    throw new LmsrInputError("LS-LMSR cannot sell more than the outstanding supply of the outcome");
+  }
+  const qPrime = qp.map((qi, i) => (i === outcomeIndex ? qi.minus(x) : qi));
+  const cBefore = costFunction(qp, liquidity);
+  const cAfter = costFunction(qPrime, liquidity);
+  return cBefore.minus(cAfter);
+}
+
 /**
  * Convert cost in outcome-token units (e.g. 18 decimals) to USDC units (e.g. 6 decimals).
- * costUsdc = round(costOutcomeWei * 10^usdcDecimals / 10^outcomeTokenDecimals).
+ * costUsdc = ceil(costOutcomeWei * 10^usdcDecimals / 10^outcomeTokenDecimals).
+ * Pass Decimal.ROUND_FLOOR for sell refunds so the vault never pays out more than C(q) - C(q').
  */
 export function costToUsdcUnits(
   costOutcomeWei: Decimal,
   outcomeTokenDecimals: number,
+  usdcDecimals: number,
+  rounding: Decimal.Rounding = Decimal.ROUND_CEIL
+): bigint {
+  if (!costOutcomeWei.isFinite()) {
+    throw new LmsrRangeError("LMSR cost is not finite");
+  }
+  const divisor = new LmsrDecimal(10).pow(outcomeTokenDecimals);
+  const multiplier = new LmsrDecimal(10).pow(usdcDecimals);
+  const usdc = new LmsrDecimal(costOutcomeWei).times(multiplier).div(divisor);
+  return BigInt(usdc.toDecimalPlaces(0, rounding).toFixed(0));
+}
+
+/** Basis points in 1 (100%). */
+const BPS_DENOMINATOR = 10000n;
+
+/** Price metadata for one trade; prices are USDC per outcome token (fixed-b marginal prices are in [0, 1]). */
+export interface LmsrTradeImpact {
+  /** Signed trade cost (or refund) divided by quantity. */
+  averageFillPrice: Decimal;
+  marginalPriceBefore: Decimal;
+  marginalPriceAfter: Decimal;
+  /** How much worse the average fill is than marginalPriceBefore, in basis points (0 for an infinitesimal trade). */
+  priceImpactBps: Decimal;
+}
+
+/**
+ * Marginal price of outcome `outcomeIndex` before and after a trade of `quantity` (buy adds to q_k, sell removes),
+ * and the average fill implied by `costUsdc` (the rounded amount actually signed).
+ */
+export function tradeImpact(
+  q: Decimal[],
+  outcomeIndex: number,
+  quantity: Decimal,
+  buy: boolean,
+  costUsdc: bigint,
+  liquidity: Decimal | LmsrLiquidity,
+  outcomeTokenDecimals: number,
+  usdcDecimals: number
+): LmsrTradeImpact {
+  assertOutcomeIndex(q, outcomeIndex);
+  const x = assertQuantity(quantity);
+  if (x.isZero()) {
+    throw new LmsrInputError("LMSR quantity must be positive to compute price impact");
+  }
+  const qPrime = q.map((qi, i) => (i === outcomeIndex ? (buy ? new LmsrDecimal(qi).plus(x) : new LmsrDecimal(qi).minus(x)) : qi));
+  const before = marginalPrices(q, liquidity)[outcomeIndex];
+  const after = marginalPrices(qPrime, liquidity)[outcomeIndex];
+  const averageFillPrice = new LmsrDecimal(costUsdc.toString())
+    .times(new LmsrDecimal(10).pow(outcomeTokenDecimals - usdcDecimals))
+    .div(x);
+  const worse = buy ? averageFillPrice.minus(before) : before.minus(averageFillPrice);
+  return {
+    averageFillPrice,
+    marginalPriceBefore: before,
+    marginalPriceAfter: after,
+    priceImpactBps: worse.times(BPS_DENOMINATOR.toString()).div(before).toDecimalPlaces(2, Decimal.ROUND_CEIL),
+  };
+}
+
+/**
+ * UserTrade maxCostUsdc for a slippage tolerance: buy = max pay, cost * (1 + bps) rounded up;
+ * sell = min receive, refund * (1 - bps) rounded down.
+ */
+export function slippageLimitUsdc(costUsdc: bigint, slippageBps: number, buy: boolean): bigint {
+  if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > Number(BPS_DENOMINATOR)) {
+    throw new LmsrInputError(`LMSR slippageBps must be an integer between 0 and ${BPS_DENOMINATOR}`);
+  }
+  const bps = BigInt(slippageBps);
+  return buy
+    ? (costUsdc * (BPS_DENOMINATOR + bps) + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR
+    : (costUsdc * (BPS_DENOMINATOR - bps)) / BPS_DENOMINATOR;
+}
+
+/**
+ * Signed USDC amount for a trade: buy cost rounded up, sell refund rounded down, so rounding never favours the trader.
+ */
+export function tradeCostUsdc(
+  q: Decimal[],
+  outcomeIndex: number,
+  quantity: Decimal,
+  buy: boolean,
+  liquidity: Decimal | LmsrLiquidity,
+  outcomeTokenDecimals: number,
   usdcDecimals: number
 ): bigint {
-  const divisor = new Decimal(10).pow(outcomeTokenDecimals);
-  const multiplier = new Decimal(10).pow(usdcDecimals);
-  const usdc = costOutcomeWei.times(multiplier).div(divisor);
-  return BigInt(usdc.round(0, Decimal.ROUND_CEIL).toString());
+  return buy
+    ? costToUsdcUnits(costToBuy(q, outcomeIndex, quantity, liquidity), outcomeTokenDecimals, usdcDecimals, Decimal.ROUND_CEIL)
+    : costToUsdcUnits(costToSell(q, outcomeIndex, quantity, liquidity), outcomeTokenDecimals, usdcDecimals, Decimal.ROUND_FLOOR);
+}
+
+/** True when |actualUsdc - expectedUsdc| <= expectedUsdc * toleranceBps / 10000. */
+export function withinToleranceBps(actualUsdc: bigint, expectedUsdc: bigint, toleranceBps: number): boolean {
+  if (!Number.isInteger(toleranceBps) || toleranceBps < 0) {
+    throw new LmsrInputError("LMSR toleranceBps must be a non-negative integer");
+  }
+  const diff = actualUsdc > expectedUsdc ? actualUsdc - expectedUsdc : expectedUsdc - actualUsdc;
+  return diff * BPS_DENOMINATOR <= expectedUsdc * BigInt(toleranceBps);
+}
+
+/** One leg of a bundle: buy or sell `quantity` of `outcomeIndex`. */
+export interface LmsrBundleLeg {
+  outcomeIndex: number;
+  buy: boolean;
+  quantity: Decimal;
+}
+
+/** Per-leg signed amounts and the bundle's net cost C(q + Δ) - C(q) (negative = net refund), outcome-token units. */
+export interface LmsrBundlePricing {
+  legCostsUsdc: bigint[];
+  netCost: Decimal;
+}
+
+/**
+ * Price legs applied in order from one q: leg i is charged C(q_i) - C(q_{i-1}) (refund for sells), which is
+ * what the vault charges when the legs execute in that order. Leg costs telescope to C(q + Δ) - C(q).
+ */
+export function bundleCosts(
+  q: Decimal[],
+  legs: LmsrBundleLeg[],
+  liquidity: Decimal | LmsrLiquidity,
+  outcomeTokenDecimals: number,
+  usdcDecimals: number
+): LmsrBundlePricing {
+  if (legs.length === 0) {
+    throw new LmsrInputError("LMSR bundle requires at least one leg");
+  }
+  const start = assertSupplies(q);
+  let current = start;
+  const legCostsUsdc = legs.map((leg) => {
+    assertOutcomeIndex(current, leg.outcomeIndex);
+    const x = assertQuantity(leg.quantity);
+    const cost = tradeCostUsdc(current, leg.outcomeIndex, x, leg.buy, liquidity, outcomeTokenDecimals, usdcDecimals);
+    current = current.map((qi, i) => (i === leg.outcomeIndex ? (leg.buy ? qi.plus(x) : qi.minus(x)) : qi));
+    return cost;
+  });
+  return { legCostsUsdc, netCost: costFunction(current, liquidity).minus(costFunction(start, liquidity)) };
+}
+
+/** Upper bound on doublings when bracketing a quantity (2^256 exceeds any uint256 quantity). */
+const MAX_BRACKET_DOUBLINGS = 256;
+
+/** Solved integer quantity (outcome-token units) and its exact cost or refund in USDC units. */
+export interface LmsrBudgetSolution {
+  quantity: Decimal;
+  costUsdc: bigint;
+}
+
+/**
+ * Largest integer quantity of outcome `outcomeIndex` whose buy cost (USDC units, rounded up) fits `budgetUsdc`.
+ * Cost is strictly increasing in quantity, so bracket by doubling then bisect.
+ */
+export function quantityForBudget(
+  q: Decimal[],
+  outcomeIndex: number,
+  budgetUsdc: bigint,
+  liquidity: Decimal | LmsrLiquidity,
+  outcomeTokenDecimals: number,
+  usdcDecimals: number
+): LmsrBudgetSolution {
+  if (budgetUsdc <= 0n) {
+    throw new LmsrInputError("LMSR budgetUsdc must be positive");
+  }
+  const costUsdcOf = (x: Decimal): bigint =>
+    costToUsdcUnits(costToBuy(q, outcomeIndex, x, liquidity), outcomeTokenDecimals, usdcDecimals, Decimal.ROUND_CEIL);
+
+  let lo = new LmsrDecimal(0);
+  let hi = new LmsrDecimal(1);
+  let doublings = 0;
+  while (costUsdcOf(hi) <= budgetUsdc) {
+    if (++doublings > MAX_BRACKET_DOUBLINGS) {
+      throw new LmsrRangeError("LMSR budget solver did not converge");
+    }
+    lo = hi;
+    hi = hi.times(2);
+  }
+  while (hi.minus(lo).gt(1)) {
+    const mid = lo.plus(hi).div(2).floor();
+    if (costUsdcOf(mid) <= budgetUsdc) lo = mid;
+    else hi = mid;
+  }
+  if (lo.isZero()) {
+    throw new LmsrInputError("LMSR budgetUsdc too small to buy any quantity");
+  }
+  return { quantity: lo, costUsdc: costUsdcOf(lo) };
+}
+
+/**
+ * Smallest integer quantity of outcome `outcomeIndex` whose sell refund (USDC units, rounded down) reaches `targetUsdc`.
+ * Refund is increasing in quantity but bounded (C(q) - b * ln(∑_{j≠k} e^(q_j/b))), so large targets are rejected.
+ * Under LS-LMSR at most q_k can be sold, so the bound is the refund for selling all of q_k.
+ */
+export function quantityForSellTarget(
+  q: Decimal[],
+  outcomeIndex: number,
+  targetUsdc: bigint,
+  liquidity: Decimal | LmsrLiquidity,
+  outcomeTokenDecimals: number,
+  usdcDecimals: number
+): LmsrBudgetSolution {
+  if (targetUsdc <= 0n) {
+    throw new LmsrInputError("LMSR target amount must be positive");
+  }
+  assertOutcomeIndex(q, outcomeIndex);
+  const refundUsdcOf = (x: Decimal): bigint =>
+    costToUsdcUnits(costToSell(q, outcomeIndex, x, liquidity), outcomeTokenDecimals, usdcDecimals, Decimal.ROUND_FLOOR);
+
+  const maxSell = toLiquidity(liquidity).model === "ls-lmsr" ? new LmsrDecimal(q[outcomeIndex]).floor() : undefined;
+  if (maxSell) {
+    if (refundUsdcOf(maxSell) < targetUsdc) {
+      throw new LmsrRangeError("LMSR target amount exceeds the maximum refund for this outcome");
+    }
+  } else if (q.length > 1) {
+    const others = q.filter((_, i) => i !== outcomeIndex);
+    const supremum = costFunction(q, liquidity).minus(costFunction(others, liquidity));
+    if (costToUsdcUnits(supremum, outcomeTokenDecimals, usdcDecimals, Decimal.ROUND_FLOOR) < targetUsdc) {
+      throw new LmsrRangeError("LMSR target amount exceeds the maximum refund for this outcome");
+    }
+  }
+
+  let lo = new LmsrDecimal(0);
+  let hi = new LmsrDecimal(1);
+  let doublings = 0;
+  while (refundUsdcOf(maxSell && hi.gt(maxSell) ? maxSell : hi) < targetUsdc) {
+    if (++doublings > MAX_BRACKET_DOUBLINGS) {
+      throw new LmsrRangeError("LMSR target amount exceeds the maximum refund for this outcome");
+    }
+    lo = hi;
+    hi = hi.times(2);
+  }
+  if (maxSell && hi.gt(maxSell)) hi = maxSell;
+  while (hi.minus(lo).gt(1)) {
+    const mid = lo.plus(hi).div(2).floor();
+    if (refundUsdcOf(mid) >= targetUsdc) hi = mid;
+    else lo = mid;
+  }
+  return { quantity: hi, costUsdc: refundUsdcOf(hi) };
 }
@@ -0,0 +1,281 @@
+/**
+ * Trusted LMSR liquidity per market: pricing model and its parameter (b for fixed-b LMSR, alpha for LS-LMSR).
+ * The DON must not sign prices at a liquidity chosen by the caller, so the parameter is resolved in order from:
+ * config.lmsr per-questionId maps, the backend market registry (b, b derived from seeded liquidity, or alpha),
+ * then the config default. A request-supplied value is rejected when it disagrees with the trusted value, and
+ * only used (flagged as source "request") when config.lmsr.allowRequestBParameter is true.
+ * The model is trusted the same way: config.lmsr.pricingModelByQuestionId, the backend, config.lmsr.defaultPricingModel,
+ * then fixed-b "lmsr". A request pricingModel is only a check against it, so a caller cannot switch a market to
+ * LS-LMSR (or back) to get a different price.
+ */
+
+import type { Runtime } from "@chainlink/cre-sdk";
+import Decimal from "decimal.js";
+import type { WorkflowConfig } from "../types/config";
+import type { LmsrParamsConfig } from "../types/lmsr";
+import { sendConfidentialBackendRequest } from "./confidentialHttp";
+import { LMSR_PRICING_MODELS, LmsrInputError } from "./lmsrMath";
+import type { LmsrLiquidity, LmsrPricingModel } from "./lmsrMath";
+import { CreError } from "./errors";
+
+export type BParameterSource = "config" | "backend" | "seed" | "default" | "request";
+
+export interface ResolvedBParameter {
+  b: Decimal;
+  source: BParameterSource;
+}
+
+export interface ResolvedLmsrLiquidity {
+  liquidity: LmsrLiquidity;
+  /** Source of b (fixed-b) or alpha (LS-LMSR). */
+  source: BParameterSource;
+}
+
+/** Caller-supplied liquidity fields from the request body; all optional and never trusted on their own. */
+export interface RequestedLmsrLiquidity {
+  bParameter?: string;
+  pricingModel?: string;
+  alpha?: string;
+}
+
+export interface ResolveBParameterOptions {
+  lmsr?: LmsrParamsConfig;
+  backendUrl?: string;
+  outcomeTokenDecimals: number;
+  usdcDecimals: number;
+}
+
+/** Backend registry entry: explicit b, the USDC amount the market was seeded with, or LS-LMSR model and alpha. */
+interface BackendMarketParams {
+  bParameter?: string | number;
+  seededLiquidityUsdc?: string | number;
+  pricingModel?: string;
+  alpha?: string | number;
+}
+
+function toPricingModel(value: unknown, label: string): LmsrPricingModel | undefined {
+  if (value == null || String(value).trim() === "") return undefined;
+  const model = String(value).trim() as LmsrPricingModel;
+  if (!LMSR_PRICING_MODELS.includes(model)) {
+    throw new LmsrInputError(`${label} must be one of ${LMSR_PRICING_MODELS.join(", ")}`);
+  }
+  return model;
+}
+
+function lookupByQuestionId<T>(map: Record<string, T> | undefined, questionId: `0x${string}`): T | undefined {
+  if (!map) return undefined;
+  return map[questionId] ?? map[questionId.toLowerCase()];
+}
+
+function toPositiveDecimal(value: unknown, label: string): Decimal | undefined {
+  if (value == null || String(value).trim() === "") return undefined;
+  let d: Decimal;
+  try {
+    d = new Decimal(String(value).trim());
+  } catch {
+    throw new LmsrInputError(`${label} is not a number`);
+  }
+  if (!d.isFinite() || d.lte(0)) {
+    throw new LmsrInputError(`${label} must be positive`);
+  }
+  return d;
+}
+
+/**
+ * b such that the market maker's worst-case loss b * ln(n) equals the seeded liquidity.
+ * Seeded USDC is scaled to outcome-token units so b is in the same unit as q.
+ */
+export function bParameterFromSeededLiquidity(
+  seededLiquidityUsdc: Decimal,
+  outcomeSlotCount: number,
+  outcomeTokenDecimals: number,
+  usdcDecimals: number
+): Decimal {
+  if (outcomeSlotCount < 2) {
+    throw new LmsrInputError("Seeded-liquidity b requires at least two outcomes");
+  }
+  const scale = new Decimal(10).pow(outcomeTokenDecimals - usdcDecimals);
+  return seededLiquidityUsdc.times(scale).div(Decimal.ln(outcomeSlotCount));
+}
+
+function fetchBackendMarketParams(
+  runtime: Runtime<unknown>,
+  backendUrl: string,
+  path: string,
+  questionId: `0x${string}`,
+  noAuth: boolean
+): BackendMarketParams | undefined {
+  const url = `${backendUrl.replace(/\/$/, "")}${path}?questionId=${questionId}`;
+  const res = sendConfidentialBackendRequest(runtime as Runtime<WorkflowConfig>, {
+    url,
+    method: "GET",
+    ...(noAuth ? { noAuth: true } : {}),
+  });
+  if (res.statusCode === 404) return undefined;
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    throw new CreError(
+      "UPSTREAM_FAILED",
+      `Backend LMSR params failed: ${res.statusCode} ${new TextDecoder().decode(res.body)}`,
+      { statusCode: res.statusCode }
+    );
+  }
+  const parsed = JSON.parse(new TextDecoder().decode(res.body)) as BackendMarketParams & { data?: BackendMarketParams };
+  return parsed?.data ?? parsed;
+}
+
+/** Fetches the backend registry entry at most once per resolution. */
+function backendParamsLoader(
+  runtime: Runtime<unknown>,
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`
+): () => BackendMarketParams | undefined {
+  let loaded = false;
+  let params: BackendMarketParams | undefined;
+  return () => {
+    if (!loaded) {
+      loaded = true;
+      const path = options.lmsr?.backendMarketParamsPath?.trim();
+      const backendUrl = options.backendUrl?.trim();
+      if (path && backendUrl) {
+        const noAuth = options.lmsr?.backendMarketParamsNoAuth === true;
+        params = fetchBackendMarketParams(runtime, backendUrl, path, questionId, noAuth);
+      }
+    }
+    return params;
+  };
+}
+
+function findTrustedBParameter(
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`,
+  outcomeSlotCount: number,
+  backend: () => BackendMarketParams | undefined
+): ResolvedBParameter | undefined {
+  const lmsr = options.lmsr;
+
+  const b = toPositiveDecimal(
+    lookupByQuestionId(lmsr?.bParameterByQuestionId, questionId),
+    `config.lmsr.bParameterByQuestionId[${questionId}]`
+  );
+  if (b) return { b, source: "config" };
+
+  const params = backend();
+  const backendB = toPositiveDecimal(params?.bParameter, "backend bParameter");
+  if (backendB) return { b: backendB, source: "backend" };
+  const seeded = toPositiveDecimal(params?.seededLiquidityUsdc, "backend seededLiquidityUsdc");
+  if (seeded) {
+    return {
+      b: bParameterFromSeededLiquidity(seeded, outcomeSlotCount, options.outcomeTokenDecimals, options.usdcDecimals),
+      source: "seed",
+    };
+  }
+
+  const fallback = toPositiveDecimal(lmsr?.defaultBParameter, "config.lmsr.defaultBParameter");
+  if (fallback) return { b: fallback, source: "default" };
+
+  return undefined;
+}
+
+function findTrustedAlpha(
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`,
+  backend: () => BackendMarketParams | undefined
+): ResolvedBParameter | undefined {
+  const lmsr = options.lmsr;
+
+  const alpha = toPositiveDecimal(
+    lookupByQuestionId(lmsr?.alphaByQuestionId, questionId),
+    `config.lmsr.alphaByQuestionId[${questionId}]`
+  );
+  if (alpha) return { b: alpha, source: "config" };
+
+  const backendAlpha = toPositiveDecimal(backend()?.alpha, "backend alpha");
+  if (backendAlpha) return { b: backendAlpha, source: "backend" };
+
+  const fallback = toPositiveDecimal(lmsr?.defaultAlpha, "config.lmsr.defaultAlpha");
+  if (fallback) return { b: fallback, source: "default" };
+
+  return undefined;
+}
+
+/** Trusted value wins and must match the request; the request value alone is used only when allowed. */
+function reconcileWithRequest(
+  runtime: Runtime<unknown>,
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`,
+  name: "bParameter" | "alpha",
+  trusted: ResolvedBParameter | undefined,
+  requested: string | undefined
+): ResolvedBParameter {
+  const requestedValue = toPositiveDecimal(requested, name);
+
+  if (trusted) {
+    if (requestedValue && !requestedValue.eq(trusted.b)) {
+      runtime.log(`Rejected request ${name} ${requestedValue.toString()} (trusted ${trusted.source}: ${trusted.b.toString()}).`);
+      throw new LmsrInputError(
+        `${name} ${requestedValue.toString()} does not match the market's ${trusted.source} value; omit ${name}`
+      );
+    }
+    return trusted;
+  }
+
+  if (requestedValue && options.lmsr?.allowRequestBParameter === true) {
+    runtime.log(`Using request-supplied ${name} ${requestedValue.toString()} (allowRequestBParameter).`);
+    return { b: requestedValue, source: "request" };
+  }
+  const keys =
+    name === "alpha"
+      ? "alphaByQuestionId, backendMarketParamsPath or defaultAlpha"
+      : "bParameterByQuestionId, backendMarketParamsPath or defaultBParameter";
+  throw new LmsrInputError(`No trusted ${name} for market ${questionId}; set config.lmsr (${keys})`);
+}
+
+/** Trusted model for a market; the request model is rejected when it differs, like bParameter and alpha. */
+function resolvePricingModel(
+  runtime: Runtime<unknown>,
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`,
+  backend: () => BackendMarketParams | undefined,
+  requested: string | undefined
+): LmsrPricingModel {
+  const requestedModel = toPricingModel(requested, "pricingModel");
+  const configModel = toPricingModel(
+    lookupByQuestionId(options.lmsr?.pricingModelByQuestionId, questionId),
+    `config.lmsr.pricingModelByQuestionId[${questionId}]`
+  );
+  const backendModel = configModel ? undefined : toPricingModel(backend()?.pricingModel, "backend pricingModel");
+  const defaultModel = toPricingModel(options.lmsr?.defaultPricingModel, "config.lmsr.defaultPricingModel");
+  const [model, source] = configModel
+    ? [configModel, "config"]
+    : backendModel
+      ? [backendModel, "backend"]
+      : [defaultModel ?? "lmsr", "default"];
+  if (requestedModel && requestedModel !== model) {
+    runtime.log(`Rejected request pricingModel ${requestedModel} (trusted ${source}: ${model}).`);
+    throw new LmsrInputError(
+      `pricingModel ${requestedModel} does not match the market's ${source} model ${model}; omit pricingModel`
+    );
+  }
+  return model;
+}
+
+/** Resolve the pricing model and its liquidity parameter for a market; none of them is taken from the request alone. */
+export function resolveLmsrLiquidity(
+  runtime: Runtime<unknown>,
+  options: ResolveBParameterOptions,
+  questionId: `0x${string}`,
+  outcomeSlotCount: number,
+  requested: RequestedLmsrLiquidity = {}
+): ResolvedLmsrLiquidity {
+  const backend = backendParamsLoader(runtime, options, questionId);
+  const model = resolvePricingModel(runtime, options, questionId, backend, requested.pricingModel);
+
+  if (model === "ls-lmsr") {
+    const trusted = findTrustedAlpha(options, questionId, backend);
+    const alpha = reconcileWithRequest(runtime, options, questionId, "alpha", trusted, requested.alpha);
+    return { liquidity: { model, alpha: alpha.b }, source: alpha.source };
+  }
+  const trusted = findTrustedBParameter(options, questionId, outcomeSlotCount, backend);
+  const b = reconcileWithRequest(runtime, options, questionId, "bParameter", trusted, requested.bParameter);
+  return { liquidity: { model, b: b.b }, source: b.source };
+}
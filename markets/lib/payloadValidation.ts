@@ -0,0 +1,55 @@
+/**
+ * HTTP payload validation: parse a trigger body with its zod schema (lib/actionSchemas.ts) and fail with
+ * one structured error that names every bad field, instead of coercing bad input to "0" or "".
+ */
+
+import type { z } from "zod";
+import { CreError } from "./errors";
+
+export interface ValidationIssue {
+  /** Dotted path into the body (e.g. "legs.1.nonce"); "body" for the body itself. */
+  field: string;
+  message: string;
+}
+
+/** VALIDATION_FAILED with details { action, issues }. */
+export class PayloadValidationError extends CreError {
+  readonly action: string;
+  readonly issues: ValidationIssue[];
+
+  constructor(action: string, issues: ValidationIssue[]) {
+    super("VALIDATION_FAILED", `Invalid ${action} payload: ${issues.map((i) => `${i.field}: ${i.message}`).join("; ")}`, {
+      action,
+      issues,
+    });
+    this.name = "PayloadValidationError";
+    this.action = action;
+    this.issues = issues;
+  }
+}
+
+function decodeBody(action: string, input: Uint8Array | Record<string, unknown>): unknown {
+  if (!(input instanceof Uint8Array)) return input;
+  try {
+    return JSON.parse(new TextDecoder().decode(input));
+  } catch {
+    throw new PayloadValidationError(action, [{ field: "body", message: "must be valid JSON" }]);
+  }
+}
+
+/**
+ * Parse the trigger input (raw bytes or an already-decoded body) with `schema`.
+ * Returns the schema output (defaults applied, hex normalized); throws PayloadValidationError listing all issues.
+ */
+export function parseActionPayload<S extends z.ZodTypeAny>(
+  action: string,
+  schema: S,
+  input: Uint8Array | Record<string, unknown>
+): z.output<S> {
+  const parsed = schema.safeParse(decodeBody(action, input));
+  if (parsed.success) return parsed.data;
+  throw new PayloadValidationError(
+    action,
+    parsed.error.issues.map((i) => ({ field: i.path.join(".") || "body", message: i.message }))
+  );
+}
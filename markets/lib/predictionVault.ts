@@ -1,5 +1,5 @@
 /**
- * PredictionVault: read-only views, EIP-712 quote signing, and CRE report writes.
+ * PredictionVault: read-only views, EIP-712 quote signing, CRE report writes and event log decoding.
  * Per cre.contract.md: report = prefix (1 byte) + abi.encode(payload). 0x00 = execute trade, 0x01 = seed liquidity.
  */
 
@@ -11,12 +11,16 @@ import {
   TxStatus,
 } from "@chainlink/cre-sdk";
 import {
+  type AbiEvent,
   type Address,
   concat,
+  decodeEventLog,
   decodeFunctionResult,
   encodeAbiParameters,
   encodeFunctionData,
+  getAbiItem,
   parseAbiParameters,
+  toEventSelector,
   zeroAddress,
   type Hex,
 } from "viem";
@@ -28,13 +32,17 @@ import type { PredictionVaultExecuteTradePayload } from "../types/cre";
 import { PREDICTION_VAULT_CRE_ACTION } from "../types/cre";
 import { PREDICTION_VAULT_ABI } from "./abis";
 import { getEVMClient, callContract, decodeCallResult, buildCallData } from "./evm";
+import type { DryRunContext } from "./dryRun";
+import { recordDryRunReport } from "./dryRun";
+import { CreError } from "./errors";
+import { diagnoseReceiverRevert } from "./diagnostics";
 
 const DEFAULT_WRITE_GAS_LIMIT = "500000";
 const RECEIVER_EXECUTION_REVERTED = 1;
-const EXECUTE_TRADE_PARAMS = parseAbiParameters(
+export const EXECUTE_TRADE_PARAMS = parseAbiParameters(
   "bytes32 questionId, uint256 outcomeIndex, bool buy, uint256 quantity, uint256 tradeCostUsdc, uint256 maxCostUsdc, uint256 nonce, uint256 deadline, address user, bytes donSignature, bytes userSignature"
 );
-const SEED_LIQUIDITY_PARAMS = parseAbiParameters("bytes32 questionId, uint256 amountUsdc");
+export const SEED_LIQUIDITY_PARAMS = parseAbiParameters("bytes32 questionId, uint256 amountUsdc");
 
 export function getConditionId(
   runtime: Runtime<unknown>,
@@ -160,6 +168,19 @@ const DON_QUOTE_TYPES = {
   ],
 };
 
+/** EIP-712 UserTrade: USER_TRADE_TYPEHASH. User signs (marketId, outcomeIndex, buy, quantity, maxCostUsdc, nonce, deadline). */
+export const USER_TRADE_TYPES = {
+  UserTrade: [
+    { name: "marketId", type: "bytes32" },
+    { name: "outcomeIndex", type: "uint256" },
+    { name: "buy", type: "bool" },
+    { name: "quantity", type: "uint256" },
+    { name: "maxCostUsdc", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
 /**
  * Sign EIP-712 DONQuote for executeTrade (platform/DON). Contract verifies DON with DON_QUOTE_TYPEHASH.
  */
@@ -225,13 +246,24 @@ export function encodePredictionVaultReportSeedLiquidity(
   return concat([`0x${PREDICTION_VAULT_CRE_ACTION.SEED_LIQUIDITY.toString(16).padStart(2, "0")}` as `0x${string}`, encoded]);
 }
 
-/** Write a PredictionVault CRE report onchain. Shared by executeTrade and seedLiquidity. */
+/** Write a PredictionVault CRE report onchain. Shared by executeTrade and seedLiquidity. Under dryRun only records it. */
 function writePredictionVaultReport(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
   hexPayload: `0x${string}`,
-  label: string
+  label: string,
+  dryRun?: DryRunContext
 ): string {
+  const receiverAddress = (
+    config.contracts.predictionVault.startsWith("0x")
+      ? config.contracts.predictionVault
+      : `0x${config.contracts.predictionVault}`
+  ) as `0x${string}`;
+  if (recordDryRunReport(dryRun, receiverAddress, hexPayload, label)) {
+    runtime.log(`${label}: dry run, report not written (${(hexPayload.length - 2) / 2} bytes for ${receiverAddress}).`);
+    return "";
+  }
+
   const network = getNetwork({
     chainFamily: "evm",
     chainSelectorName: config.chainSelectorName,
@@ -239,9 +271,6 @@ function writePredictionVaultReport(
   });
   if (!network) throw new Error(`Network not found: ${config.chainSelectorName}`);
   const evmClient = new cre.capabilities.EVMClient(network.chainSelector.selector);
-  const receiverAddress = config.contracts.predictionVault.startsWith("0x")
-    ? config.contracts.predictionVault
-    : `0x${config.contracts.predictionVault}`;
 
   const reportResponse = runtime
     .report({
@@ -261,10 +290,24 @@ function writePredictionVaultReport(
     .result();
 
   if (writeResult.txStatus !== TxStatus.SUCCESS) {
-    throw new Error(`${label}: transaction failed with status: ${writeResult.txStatus}`);
+    throw new CreError("TX_FAILED", `${label}: transaction failed with status: ${writeResult.txStatus}`, {
+      label,
+      txStatus: String(writeResult.txStatus),
+    });
   }
   if (writeResult.receiverContractExecutionStatus === RECEIVER_EXECUTION_REVERTED) {
-    throw new Error(`${label}: forwarder tx succeeded but PredictionVault reverted.`);
+    const diagnosis = diagnoseReceiverRevert(
+      runtime,
+      config.chainSelectorName,
+      receiverAddress,
+      PREDICTION_VAULT_ABI,
+      reportResponse.x_generatedCodeOnly_unwrap().rawReport
+    );
+    throw new CreError(
+      "RECEIVER_REVERTED",
+      `${label}: forwarder tx succeeded but PredictionVault reverted: ${diagnosis.reason}`,
+      { label, receiver: receiverAddress, ...diagnosis }
+    );
   }
   const rawHash = writeResult.txHash;
   return rawHash != null && rawHash.length > 0
@@ -319,10 +362,11 @@ export function submitSeedMarketLiquidity(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
   questionId: `0x${string}`,
-  amountUsdc: bigint
+  amountUsdc: bigint,
+  dryRun?: DryRunContext
 ): string {
   const hexPayload = encodePredictionVaultReportSeedLiquidity(questionId, amountUsdc);
-  return writePredictionVaultReport(runtime, config, hexPayload, "Seed liquidity");
+  return writePredictionVaultReport(runtime, config, hexPayload, "Seed liquidity", dryRun);
 }
 
 /**
@@ -343,7 +387,8 @@ export function submitExecuteTrade(
   maxCostUsdc: bigint | string | number,
   user: `0x${string}`,
   donSignature: `0x${string}`,
-  userSignature: `0x${string}`
+  userSignature: `0x${string}`,
+  dryRun?: DryRunContext
 ): string {
   const payload: PredictionVaultExecuteTradePayload = {
     questionId: quote.questionId,
@@ -359,5 +404,60 @@ export function submitExecuteTrade(
     userSignature,
   };
   const hexPayload = encodePredictionVaultReportExecuteTrade(payload);
-  return writePredictionVaultReport(runtime, config, hexPayload, "Execute trade");
+  return writePredictionVaultReport(runtime, config, hexPayload, "Execute trade", dryRun);
+}
+
+/** PredictionVault events the log trigger indexes (workflows/vaultEvents.ts). */
+export const INDEXED_VAULT_EVENTS = ["TradeExecuted", "MarketRegistered", "MarketLiquiditySeeded"] as const;
+
+export type IndexedVaultEventName = (typeof INDEXED_VAULT_EVENTS)[number];
+
+export type PredictionVaultEvent =
+  | {
+      event: "TradeExecuted";
+      questionId: Hex;
+      outcomeIndex: bigint;
+      buy: boolean;
+      quantity: bigint;
+      tradeCostUsdc: bigint;
+      user: Address;
+    }
+  | { event: "MarketRegistered"; questionId: Hex; conditionId: Hex }
+  | { event: "MarketLiquiditySeeded"; questionId: Hex; amountUsdc: bigint };
+
+/** topic0 of every indexed event, for the log trigger filter. */
+export function indexedVaultEventTopics(): Hex[] {
+  return INDEXED_VAULT_EVENTS.map((name) =>
+    toEventSelector(getAbiItem({ abi: PREDICTION_VAULT_ABI, name }) as AbiEvent)
+  );
+}
+
+/** Decode a PredictionVault log; undefined when it is not one of INDEXED_VAULT_EVENTS or does not match the ABI. */
+export function decodePredictionVaultLog(topics: Hex[], data: Hex): PredictionVaultEvent | undefined {
+  if (topics.length === 0) return undefined;
+  let decoded: { eventName?: string; args?: unknown };
+  try {
+    decoded = decodeEventLog({ abi: PREDICTION_VAULT_ABI, topics: topics as [Hex, ...Hex[]], data });
+  } catch {
+    return undefined;
+  }
+  const args = (decoded.args ?? {}) as Record<string, unknown>;
+  switch (decoded.eventName) {
+    case "TradeExecuted":
+      return {
+        event: "TradeExecuted",
+        questionId: args.questionId as Hex,
+        outcomeIndex: args.outcomeIndex as bigint,
+        buy: args.buy as boolean,
+        quantity: args.quantity as bigint,
+        tradeCostUsdc: args.tradeCostUsdc as bigint,
+        user: args.user as Address,
+      };
+    case "MarketRegistered":
+      return { event: "MarketRegistered", questionId: args.questionId as Hex, conditionId: args.conditionId as Hex };
+    case "MarketLiquiditySeeded":
+      return { event: "MarketLiquiditySeeded", questionId: args.questionId as Hex, amountUsdc: args.amountUsdc as bigint };
+    default:
+      return undefined;
+  }
 }
@@ -1,6 +1,7 @@
 /**
  * Sub0 (factory) read-only contract interactions and create(Market) write.
- * CRE uses: getMarket(questionId), predictionVault(), conditionalToken(), vault(); create(Market) for market creation.
+ * CRE uses: getMarket(questionId), predictionVault(), conditionalToken(), vault(); create(Market) for market creation;
+ * redeemNonce, eip712Domain and getRedeemDigest to prepare and check redeem signatures.
  * Report + writeReport pattern matches Chainlink example (encodedPayload, encoderName evm, writeReport with receiver + gasConfig).
  */
 
@@ -24,6 +25,8 @@ import type { ChainContractConfig } from "../types/contracts";
 import type { Sub0ResolvePayload, Sub0StakePayload, Sub0RedeemPayload } from "../types/cre";
 import { SUB0_CRE_ACTION } from "../types/cre";
 import type { EvmContext } from "./evm";
+import type { DryRunContext } from "./dryRun";
+import { recordDryRunReport } from "./dryRun";
 import { SUB0_ABI } from "./abis";
 import {
   callContract,
@@ -32,6 +35,8 @@ import {
   LATEST_BLOCK_NUMBER,
   LAST_FINALIZED_BLOCK_NUMBER,
 } from "./evm";
+import { CreError } from "./errors";
+import { diagnoseReceiverRevert } from "./diagnostics";
 
 /** Default gas limit for writeReport (forwarder + receiver call). */
 const DEFAULT_WRITE_GAS_LIMIT = "600000";
@@ -79,14 +84,14 @@ export function ensureQuestionIdBytes32(value: string): `0x${string}` {
 }
 
 /** ABI parameters for create(Market) tuple - matches Sub0.Market (sub0.json). CRE report = 0x00 || abi.encode(Market). */
-const CREATE_MARKET_PARAMS = parseAbiParameters(
+export const CREATE_MARKET_PARAMS = parseAbiParameters(
   "(string question, bytes32 conditionId, address oracle, address owner, uint256 createdAt, uint256 duration, uint256 outcomeSlotCount, uint8 oracleType, uint8 marketType)"
 );
-const RESOLVE_PARAMS = parseAbiParameters("bytes32 questionId, uint256[] payouts, address oracle");
-const STAKE_PARAMS = parseAbiParameters(
+export const RESOLVE_PARAMS = parseAbiParameters("bytes32 questionId, uint256[] payouts, address oracle");
+export const STAKE_PARAMS = parseAbiParameters(
   "bytes32 questionId, bytes32 parentCollectionId, uint256[] partition, address token, uint256 amount, address owner"
 );
-const REDEEM_PARAMS = parseAbiParameters(
+export const REDEEM_PARAMS = parseAbiParameters(
   "bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets, address token, address owner, uint256 deadline, uint256 nonce, bytes signature"
 );
 
@@ -149,6 +154,85 @@ export function getPredictionVaultAddress(ctx: EvmContext): `0x${string}` {
   return raw[0];
 }
 
+/** Current EIP-712 Redeem nonce for owner (Sub0.redeemNonce). A redeem must sign exactly this nonce. */
+export function getRedeemNonce(ctx: EvmContext, owner: `0x${string}`): bigint {
+  const data = buildCallData(SUB0_ABI, "redeemNonce", [owner]);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.sub0 as `0x${string}`,
+    data,
+    LATEST_BLOCK_NUMBER
+  );
+  return decodeCallResult<bigint>(SUB0_ABI, "redeemNonce", reply.data);
+}
+
+/** EIP-712 Redeem struct the owner signs (Sub0 REDEEM_TYPEHASH); indexSets are committed as indexSetsHash. */
+export const REDEEM_TYPES = {
+  Redeem: [
+    { name: "parentCollectionId", type: "bytes32" },
+    { name: "conditionId", type: "bytes32" },
+    { name: "indexSetsHash", type: "bytes32" },
+    { name: "token", type: "address" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+} as const;
+
+export interface RedeemMessage {
+  parentCollectionId: `0x${string}`;
+  conditionId: `0x${string}`;
+  indexSetsHash: `0x${string}`;
+  token: `0x${string}`;
+  deadline: bigint;
+  nonce: bigint;
+}
+
+/** indexSetsHash of the Redeem struct: keccak256(abi.encode(indexSets)). */
+export function hashRedeemIndexSets(indexSets: readonly bigint[]): `0x${string}` {
+  return keccak256(encodeAbiParameters(parseAbiParameters("uint256[]"), [[...indexSets]]));
+}
+
+/** Sub0 EIP-712 domain from eip712Domain() (name "Sub0", version "1", chainId, proxy address). */
+export function getSub0Eip712Domain(ctx: EvmContext): {
+  name: string;
+  version: string;
+  chainId: bigint;
+  verifyingContract: `0x${string}`;
+} {
+  const data = buildCallData(SUB0_ABI, "eip712Domain", []);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.sub0 as `0x${string}`,
+    data
+  );
+  const [, name, version, chainId, verifyingContract] = decodeCallResult<
+    [`0x${string}`, string, string, bigint, `0x${string}`, `0x${string}`, readonly bigint[]]
+  >(SUB0_ABI, "eip712Domain", reply.data);
+  return { name, version, chainId, verifyingContract };
+}
+
+/** Sub0.getRedeemDigest: the EIP-712 hash the owner must sign for this redeem. */
+export function getRedeemDigest(ctx: EvmContext, message: RedeemMessage): `0x${string}` {
+  const data = buildCallData(SUB0_ABI, "getRedeemDigest", [
+    message.parentCollectionId,
+    message.conditionId,
+    message.indexSetsHash,
+    message.token,
+    message.deadline,
+    message.nonce,
+  ]);
+  const reply = callContract(
+    ctx.runtime,
+    ctx.config.chainSelectorName,
+    ctx.config.contracts.sub0 as `0x${string}`,
+    data,
+    LATEST_BLOCK_NUMBER
+  );
+  return decodeCallResult<`0x${string}`>(SUB0_ABI, "getRedeemDigest", reply.data);
+}
+
 export function getConditionalTokenAddress(ctx: EvmContext): `0x${string}` {
   const data = buildCallData(SUB0_ABI, "conditionalToken", []);
   const reply = callContract(
@@ -266,18 +350,25 @@ function blockExplorerTxUrl(chainSelectorName: string, txHash: string): string {
 /**
  * Write a Sub0 CRE report onchain. Shared by create, resolve, stake, redeem.
  * Receiver is Sub0; report = prefix (1 byte) + abi.encode(payload) per cre.contract.md.
+ * Under dryRun the report is recorded and nothing is written (returns "").
  */
 export function writeSub0Report(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
   hexPayload: `0x${string}`,
-  label: string
+  label: string,
+  dryRun?: DryRunContext
 ): string {
   const gasLimit = config.gasLimit ?? DEFAULT_GAS_LIMIT;
   const receiverAddress = config.contracts.sub0.startsWith("0x")
     ? (config.contracts.sub0 as `0x${string}`)
     : (`0x${config.contracts.sub0}` as `0x${string}`);
 
+  if (recordDryRunReport(dryRun, receiverAddress, hexPayload, label)) {
+    runtime.log(`${label}: dry run, report not written (${(hexPayload.length - 2) / 2} bytes for ${receiverAddress}).`);
+    return "";
+  }
+
   runtime.log(`Writing report to Sub0 consumer: ${receiverAddress}`);
   // runtime.log(
   //   `Writing report to consumer contract - question: ${params.question}, oracle: ${params.oracle}, duration: ${params.duration}`
@@ -309,10 +400,24 @@ export function writeSub0Report(
     .result();
 
   if (writeResult.txStatus !== TxStatus.SUCCESS) {
-    throw new Error(`${label}: transaction failed with status: ${writeResult.txStatus}`);
+    throw new CreError("TX_FAILED", `${label}: transaction failed with status: ${writeResult.txStatus}`, {
+      label,
+      txStatus: String(writeResult.txStatus),
+    });
   }
   if (writeResult.receiverContractExecutionStatus === RECEIVER_EXECUTION_REVERTED) {
-    throw new Error(`${label}: forwarder tx succeeded but Sub0 reverted. Check params and roles.`);
+    const diagnosis = diagnoseReceiverRevert(
+      runtime,
+      config.chainSelectorName,
+      receiverAddress,
+      SUB0_ABI,
+      reportResponse.x_generatedCodeOnly_unwrap().rawReport
+    );
+    throw new CreError("RECEIVER_REVERTED", `${label}: forwarder tx succeeded but Sub0 reverted: ${diagnosis.reason}`, {
+      label,
+      receiver: receiverAddress,
+      ...diagnosis,
+    });
   }
   const rawHash = writeResult.txHash;
   if (rawHash != null && rawHash.length > 0) {
@@ -331,39 +436,43 @@ export function writeSub0Report(
 export function submitCreateMarket(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
-  params: CreateMarketParams
+  params: CreateMarketParams,
+  dryRun?: DryRunContext
 ): string {
   const hexPayload = encodeCreateMarket(params);
   runtime.log(`[Create] CRE report built: prefix 0x00 + abi.encode(Market), total ${(hexPayload.length - 2) / 2} bytes`);
-  return writeSub0Report(runtime, config, hexPayload, "Create market");
+  return writeSub0Report(runtime, config, hexPayload, "Create market", dryRun);
 }
 
 /** Submit Sub0 resolve via CRE report (0x01 || abi.encode(questionId, payouts, oracle)). Oracle must match market. */
 export function submitResolveMarket(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
-  payload: Sub0ResolvePayload
+  payload: Sub0ResolvePayload,
+  dryRun?: DryRunContext
 ): string {
   const hexPayload = encodeSub0ReportResolve(payload);
-  return writeSub0Report(runtime, config, hexPayload, "Resolve market");
+  return writeSub0Report(runtime, config, hexPayload, "Resolve market", dryRun);
 }
 
 /** Submit Sub0 stake via CRE report (0x02 || abi.encode(...)). */
 export function submitStake(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
-  payload: Sub0StakePayload
+  payload: Sub0StakePayload,
+  dryRun?: DryRunContext
 ): string {
   const hexPayload = encodeSub0ReportStake(payload);
-  return writeSub0Report(runtime, config, hexPayload, "Stake");
+  return writeSub0Report(runtime, config, hexPayload, "Stake", dryRun);
 }
 
 /** Submit Sub0 redeem via CRE report (0x03 || abi.encode(...)). Owner must have signed EIP-712 Redeem. */
 export function submitRedeem(
   runtime: Runtime<unknown>,
   config: ChainContractConfig,
-  payload: Sub0RedeemPayload
+  payload: Sub0RedeemPayload,
+  dryRun?: DryRunContext
 ): string {
   const hexPayload = encodeSub0ReportRedeem(payload);
-  return writeSub0Report(runtime, config, hexPayload, "Redeem");
+  return writeSub0Report(runtime, config, hexPayload, "Redeem", dryRun);
 }
@@ -1,52 +1,98 @@
 /**
  * Sub0 CRE workflows: agent (quote/order), LMSR pricing, create agent key, platform (create market, seed).
  *
- * HTTP trigger: require body.apiKey when secret HTTP_API_KEY (namespace sub0) is set.
+ * HTTP trigger: authenticated against config.httpAuth.keys (default: secret HTTP_API_KEY, namespace sub0, every scope).
+ * config.httpAuth.mode "apiKey" (default) requires body.apiKey; "hmac" requires a signed body.auth
+ * { keyId?, timestamp, nonce, signature }. The key's scopes must include one the action accepts, else FORBIDDEN.
  *
  * - quote | order: Signed LMSR quote for PredictionVault.executeTrade (sync EIP-712 sign).
  * - lmsrPricing: DON computes LMSR cost from on-chain q, signs quote (dual-signature relayer).
+ * - getPrices: read-only LMSR price vector (softmax of q/b), C(q) and worst-case loss b·ln(n).
+ * - bundle: several outcome legs priced from one q, all validated before any executeTrade is submitted.
  * - createAgentKey: Generate agent wallet in enclave (sync, no ethers), return address only.
  * - createMarket: Sub0 CRE 0x00. getMarket: read by questionId.
  * - seed: PredictionVault CRE 0x01. resolveMarket, stake, redeem: Sub0 CRE 0x01–0x03.
+ * - prepareRedeem: Redeem typed data, digest and nonce for the owner to sign; redeem checks that signature first.
  * - approveErc20, approveConditionalToken: sign with agent or backend key; return signed tx for broadcast.
+ * - getPositions: a user's outcome balances per questionId; payouts and redeemable USDC once resolved.
+ * - decodeReport: decode CRE report hex (prefix byte || abi payload) for sub0 or predictionVault into its typed payload.
  * - createMarketsFromBackend: fetch agent markets from backend, create on-chain, POST onchain-created.
  * - runSettlement: body { marketId, questionId }; deliberation + writeReport + POST resolved.
+ * - listActions: every registered action with its fields, callback path and whether it writes on-chain.
  *
- * When config.backendUrl is set, quote, order, buy, sell, lmsrPricing, stake, redeem, and
- * executeConfidentialTrade POST their result to backend /api/cre/<action> (e.g. /api/cre/quote).
+ * Actions are declared in workflows/actions.ts (schema, handler, scopes, callbackPath, writesOnChain, supportsDryRun);
+ * the body is validated against the action's schema before its handler runs.
  *
- * Triggers: Cron (schedule), HTTP (action: quote | order | buy | sell | lmsrPricing | createAgentKey | createMarket | getMarket | seed | resolveMarket | stake | redeem | approveErc20 | approveConditionalToken | createMarketsFromBackend | runSettlement | executeConfidentialTrade).
+ * When config.backendUrl is set, actions with a callbackPath (quote, order, buy, sell, bundle, lmsrPricing, stake,
+ * redeem, executeConfidentialTrade) POST their result to backend /api/cre/<action> (e.g. /api/cre/quote).
+ *
+ * body.dryRun = true (createMarket, seed, resolveMarket, stake, redeem, order, buy, sell, bundle,
+ * executeConfidentialTrade): build the report(s) and return them with the receiver and pre-flight checks; nothing is
+ * written and no backend POST is made.
+ * Other actions reject dryRun.
+ *
+ * body.idempotencyKey (write actions): echoed in the response and callback; the gateway replays a repeated key.
+ * createMarket returns the existing market instead of writing when its questionId is already taken.
+ *
+ * Errors: a failing action returns { ok: false, code, message, details } instead of throwing. Codes
+ * (VALIDATION_FAILED, UNAUTHORIZED, MARKET_NOT_FOUND, NONCE_USED, RECEIVER_REVERTED, ...) are listed in lib/errors.ts.
+ *
+ * Triggers (in this order; the index is what `cre workflow simulate --trigger-index` takes):
+ * 0 Cron (schedule), 1 HTTP (action: quote | order | buy | sell | bundle | lmsrPricing | getPrices | createAgentKey | createMarket | getMarket | seed | resolveMarket | stake | redeem | prepareRedeem | getPositions | approveErc20 | approveConditionalToken | decodeReport | createMarketsFromBackend | runSettlement | executeConfidentialTrade | listActions | doctor),
+ * 2 EVM log on PredictionVault: TradeExecuted, MarketRegistered, MarketLiquiditySeeded POSTed to the backend
+ * (workflows/vaultEvents.ts). Registered when config.contracts has predictionVault unless vaultEvents.enabled is false.
+ * Next index (3, or 2 without the vault trigger) EVM log on ConditionalTokens: ConditionResolution of a Sub0 market
+ * reported to the backend as resolved (workflows/resolutionWatcher.ts). Registered unless resolutionEvents.enabled is false.
  */
 
-import { CronCapability, HTTPCapability, handler, Runner, ConfidentialHTTPClient, type Runtime } from "@chainlink/cre-sdk";
+import {
+  CronCapability,
+  HTTPCapability,
+  handler,
+  hexToBase64,
+  Runner,
+  ConfidentialHTTPClient,
+  type EVMLog,
+  type Runtime,
+} from "@chainlink/cre-sdk";
 import type { WorkflowConfig } from "./types/config";
 import { workflowConfigSchema } from "./lib/configSchema";
-import { verifyApiKey } from "./lib/httpMiddleware";
-import { handleQuoteSigning } from "./workflows/quoteSigning";
-import { handleLmsrPricing } from "./workflows/lmsrPricing";
-import { handleCreateAgentKey } from "./workflows/createAgentKey";
-import {
-  handleCreateMarket,
-  handleGetMarket,
-  handleSeedLiquidity,
-  handleResolveMarket,
-  handleStake,
-  handleRedeem,
-  handlePlatformCron,
-} from "./workflows/platformActions";
-import { handleApproveErc20, handleApproveConditionalToken } from "./workflows/approveWorkflows";
-import { handleCreateMarketsFromBackend } from "./workflows/createMarketsFromBackend";
-import { handleRunSettlement } from "./workflows/runSettlement";
-import { handleExecuteConfidentialTrade } from "./workflows/executeConfidentialTrade";
+import { authorizeAction, verifyHttpAuth } from "./lib/httpMiddleware";
+import { handlePlatformCron } from "./workflows/platformActions";
+import { HTTP_ACTIONS } from "./workflows/actions";
+import { actionNames, findAction, validateActionPayload } from "./lib/actionRegistry";
 import { postCreResultToBackend } from "./lib/creBackendPost";
+import { createDryRun, dryRunResult } from "./lib/dryRun";
+import { CreError, toErrorEnvelope } from "./lib/errors";
+import { readIdempotencyKey } from "./lib/idempotency";
+import { confirmWrite, responseTxHashes } from "./lib/confirmation";
+import { getEVMClient } from "./lib/evm";
+import { indexedVaultEventTopics } from "./lib/predictionVault";
+import { handleVaultLog } from "./workflows/vaultEvents";
+import { conditionResolutionTopic } from "./lib/ctf";
+import { handleConditionResolutionLog } from "./workflows/resolutionWatcher";
 
 const onCronTrigger = async (runtime: Runtime<WorkflowConfig>): Promise<string> => {
   return handlePlatformCron(runtime);
 };
 
+const onVaultLogTrigger = async (runtime: Runtime<WorkflowConfig>, log: EVMLog): Promise<string> => {
+  return handleVaultLog(runtime, log);
+};
+
+const onConditionResolutionTrigger = async (runtime: Runtime<WorkflowConfig>, log: EVMLog): Promise<string> => {
+  return handleConditionResolutionLog(runtime, log);
+};
+
+const LOG_TRIGGER_CONFIDENCE = {
+  latest: "CONFIDENCE_LEVEL_LATEST",
+  safe: "CONFIDENCE_LEVEL_SAFE",
+  finalized: "CONFIDENCE_LEVEL_FINALIZED",
+} as const;
+
 type HttpResult = Record<string, string>;
 
-const onHTTPTrigger = async (
+const dispatchHttpAction = async (
   runtime: Runtime<WorkflowConfig>,
   payload: { input: Uint8Array }
 ): Promise<HttpResult> => {
@@ -61,83 +107,58 @@ const onHTTPTrigger = async (
   const client = new ConfidentialHTTPClient();
   const config = runtime.config;
 
-  verifyApiKey(runtime, body);
+  const principal = verifyHttpAuth(runtime, body, config.httpAuth);
 
   const action = body.action as string | undefined;
-  if (action === "order") {
-    const signed = (await handleQuoteSigning(runtime, payload)) as unknown as Record<string, string>;
-    postCreResultToBackend(runtime, client, config, "/api/cre/quote", signed);
-    return signed;
-  }
-  if (action === "buy") {
-    const buyPayload = { input: new TextEncoder().encode(JSON.stringify({ ...body, buy: true })) };
-    const signed = (await handleQuoteSigning(runtime, buyPayload)) as unknown as Record<string, string>;
-    postCreResultToBackend(runtime, client, config, "/api/cre/buy", signed);
-    return signed;
-  }
-  if (action === "sell") {
-    const sellPayload = { input: new TextEncoder().encode(JSON.stringify({ ...body, buy: false })) };
-    const signed = (await handleQuoteSigning(runtime, sellPayload)) as unknown as Record<string, string>;
-    postCreResultToBackend(runtime, client, config, "/api/cre/sell", signed);
-    return signed;
-  }
-  if (action === "quote" || action === "lmsrPricing") {
-    const result = await handleLmsrPricing(runtime, payload);
-    postCreResultToBackend(runtime, client, config, "/api/cre/lmsr-pricing", result);
-    return { ...result };
-  }
-  if (action === "createAgentKey") {
-    return { ...(await handleCreateAgentKey(runtime, client, payload)) };
-  }
-  if (action === "createMarket") {
-    return await handleCreateMarket(runtime, payload);
-  }
-  if (action === "getMarket") {
-    return await handleGetMarket(runtime, payload);
-  }
-  if (action === "seed") {
-    return handleSeedLiquidity(runtime, payload);
-  }
-  if (action === "resolveMarket") {
-    return handleResolveMarket(runtime, payload);
-  }
-  if (action === "stake") {
-    const result = handleStake(runtime, payload);
-    postCreResultToBackend(runtime, client, config, "/api/cre/stake", result);
-    return result;
-  }
-  if (action === "redeem") {
-    const result = handleRedeem(runtime, payload);
-    postCreResultToBackend(runtime, client, config, "/api/cre/redeem", result);
-    return result;
-  }
-  if (action === "executeConfidentialTrade" || action === "execute-confidential-trade") {
-    const result = await handleExecuteConfidentialTrade(runtime, payload);
-    postCreResultToBackend(runtime, client, config, "/api/cre/execute-confidential-trade", result);
-    return { ...result };
-  }
-  if (action === "approveErc20") {
-    return (await handleApproveErc20(runtime, payload)) as unknown as HttpResult;
-  }
-  if (action === "approveConditionalToken") {
-    return (await handleApproveConditionalToken(runtime, payload)) as unknown as HttpResult;
-  }
-  if (action === "createMarketsFromBackend") {
-    const createPayload = {
-      action: typeof body.action === "string" ? body.action : undefined,
-      apiKey: typeof body.apiKey === "string" ? body.apiKey : undefined,
-      markets: Array.isArray(body.markets) ? body.markets : undefined,
-    };
-    return (await handleCreateMarketsFromBackend(runtime, createPayload)) as unknown as HttpResult;
-  }
-  if (action === "runSettlement") {
-    return (await handleRunSettlement(runtime, payload)) as unknown as HttpResult;
-  }
+  const entry = findAction(HTTP_ACTIONS, action);
+  if (!entry) {
+    runtime.log(`HTTP action must be one of: ${actionNames(HTTP_ACTIONS).join(", ")}.`);
+    throw new CreError("VALIDATION_FAILED", "Missing or invalid body.action", { actions: actionNames(HTTP_ACTIONS) });
+  }
+  const { name, definition } = entry;
+  authorizeAction(principal, name, definition.scopes);
+  const dryRun = body.dryRun === true ? createDryRun() : undefined;
+  if (dryRun && !definition.supportsDryRun) {
+    throw new CreError("VALIDATION_FAILED", `dryRun is not supported for action ${name}`, { action: name });
+  }
+  validateActionPayload(name, definition.schema, body);
+  const idempotencyKey = definition.writesOnChain ? readIdempotencyKey(name, body) : undefined;
+
+  const handled = await definition.handler({ runtime, payload, body, client, writeOptions: { dryRun } });
+  /** Echo the key so the backend can match this response and its callback to the request it retried. */
+  const keyed = idempotencyKey ? { ...(handled as HttpResult), idempotencyKey } : handled;
+  /** Every write answers with where its tx stands; handlers that already confirmed (createMarket) keep theirs. */
+  const result =
+    definition.writesOnChain && !dryRun && !("confirmation" in (keyed as object))
+      ? {
+          ...(keyed as HttpResult),
+          confirmation: config.contracts
+            ? confirmWrite(runtime, config.contracts, responseTxHashes(keyed as Record<string, unknown>), config.confirmation)
+            : { status: "none", transactions: [] },
+        }
+      : keyed;
+  /** Under dry run: merge reports + checks into the response and skip the backend callback. */
+  if (dryRun) {
+    return { ...(result as HttpResult), ...dryRunResult(dryRun) } as unknown as HttpResult;
+  }
+  if (definition.callbackPath) {
+    postCreResultToBackend(runtime, client, config, definition.callbackPath, result);
+  }
+  return result as HttpResult;
+};
 
-  runtime.log(
-    "HTTP action must be one of: quote, order, buy, sell, lmsrPricing, createAgentKey, createMarket, getMarket, seed, resolveMarket, stake, redeem, approveErc20, approveConditionalToken, createMarketsFromBackend, runSettlement, executeConfidentialTrade."
-  );
-  throw new Error("Missing or invalid body.action");
+/** Every failure is returned as { ok: false, code, message, details } (lib/errors.ts); the gateway maps code to a status. */
+const onHTTPTrigger = async (
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array }
+): Promise<HttpResult> => {
+  try {
+    return await dispatchHttpAction(runtime, payload);
+  } catch (err) {
+    const envelope = toErrorEnvelope(err);
+    runtime.log(`HTTP action failed: ${envelope.code}: ${envelope.message}`);
+    return envelope as unknown as HttpResult;
+  }
 };
 
 const initWorkflow = (
@@ -146,10 +167,31 @@ const initWorkflow = (
 ) => {
   const cron = new CronCapability();
   const http = new HTTPCapability();
+  const vault = config.contracts?.contracts.predictionVault as `0x${string}` | undefined;
+  const vaultEvents =
+    config.contracts && vault && config.vaultEvents?.enabled !== false
+      ? getEVMClient(config.contracts.chainSelectorName).logTrigger({
+          addresses: [hexToBase64(vault)],
+          topics: [{ values: indexedVaultEventTopics().map((topic) => hexToBase64(topic)) }],
+          confidence: LOG_TRIGGER_CONFIDENCE[config.vaultEvents?.confidence ?? "finalized"],
+        })
+      : undefined;
+  const ctf = config.contracts?.contracts.conditionalTokens as `0x${string}` | undefined;
+  const resolutionEvents =
+    config.contracts && ctf && config.resolutionEvents?.enabled !== false
+      ? getEVMClient(config.contracts.chainSelectorName).logTrigger({
+          addresses: [hexToBase64(ctf)],
+          topics: [{ values: [hexToBase64(conditionResolutionTopic())] }],
+          confidence: LOG_TRIGGER_CONFIDENCE[config.resolutionEvents?.confidence ?? "finalized"],
+        })
+      : undefined;
 
+  /** Order is the trigger index: HTTP must stay at 1 (gateway and justfile simulate with --trigger-index 1). */
   return [
     handler(cron.trigger({ schedule: config.schedule }), onCronTrigger),
     handler(http.trigger({}), onHTTPTrigger),
+    ...(vaultEvents ? [handler(vaultEvents, onVaultLogTrigger)] : []),
+    ...(resolutionEvents ? [handler(resolutionEvents, onConditionResolutionTrigger)] : []),
   ];
 };
 
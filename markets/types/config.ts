@@ -4,6 +4,52 @@
  */
 
 import type { ChainContractConfig } from "./contracts";
+import type { LmsrParamsConfig } from "./lmsr";
+
+/** Groups of HTTP actions a key can be granted; each action lists the scopes that may call it (workflows/actions.ts). */
+export type HttpScope = "read-only" | "trader" | "platform-admin" | "settlement";
+
+/** A named caller key: the secret holding its value and the scopes it is granted. */
+export interface HttpAuthKeyConfig {
+  name: string;
+  /** CRE secret id (declare it in secrets.yaml). */
+  secretId: string;
+  scopes: HttpScope[];
+}
+
+/** HTTP trigger authentication (lib/httpMiddleware.ts). */
+export interface HttpAuthConfig {
+  /** "apiKey" (default): plaintext body.apiKey. "hmac": signed body.auth { keyId?, timestamp, nonce, signature }. */
+  mode?: "apiKey" | "hmac";
+  /** hmac: max distance between auth.timestamp and the DON clock, in seconds. Default 300. */
+  maxSkewSeconds?: number;
+  /**
+   * Named keys with scopes. Unset: one key "default" in secret HTTP_API_KEY with every scope, and no check at all
+   * while that secret is empty.
+   */
+  keys?: HttpAuthKeyConfig[];
+}
+
+/** EVM log trigger (vaultEvents: workflows/vaultEvents.ts, resolutionEvents: workflows/resolutionWatcher.ts). */
+export interface LogTriggerConfig {
+  /** Default true when config.contracts has the watched contract; false skips registering the log trigger. */
+  enabled?: boolean;
+  /** Block confidence before a log fires the trigger. Default "finalized". */
+  confidence?: "latest" | "safe" | "finalized";
+}
+
+/** Receipt polling after a write (lib/confirmation.ts). */
+export interface ConfirmationConfig {
+  /** Polls per transaction before reporting it as it stands; each costs up to 3 EVM reads. Default 3, max 10. */
+  maxPolls?: number;
+  /** Wall-time budget for polling all of a write's transactions, by runtime.now(). Default 60, max 240. */
+  timeoutSeconds?: number;
+  /**
+   * Blocks on top of the receipt's block after which a write counts as finalized. Default 0: only the chain's
+   * finalized block counts.
+   */
+  depth?: number;
+}
 
 export interface WorkflowConfig {
   schedule: string;
@@ -20,4 +66,14 @@ export interface WorkflowConfig {
   /** No-auth CRE endpoints. When set, workflow calls these and does not send API key. */
   backendAgentMarketsPath?: string;
   backendOnchainCreatedPath?: string;
+  /** Trusted LMSR liquidity parameter sources for lmsrPricing and getPrices. */
+  lmsr?: LmsrParamsConfig;
+  /** How HTTP trigger callers authenticate. Default { mode: "apiKey" }. */
+  httpAuth?: HttpAuthConfig;
+  /** PredictionVault event indexer: TradeExecuted, MarketRegistered, MarketLiquiditySeeded pushed to the backend. */
+  vaultEvents?: LogTriggerConfig;
+  /** Resolution watcher: CTF ConditionResolution for Sub0 markets reported to the backend as resolved. */
+  resolutionEvents?: LogTriggerConfig;
+  /** How long write actions wait for their transaction before answering with confirmation.status. */
+  confirmation?: ConfirmationConfig;
 }
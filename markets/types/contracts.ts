@@ -12,6 +12,8 @@ export interface ChainContracts {
   hub: string;
   /** Agent settlement receiver (CRE writes resolution report here). Optional. */
   agentSettlementReceiver?: string;
+  /** CRE forwarder the receivers should trust. Optional; doctor checks getForwarderAddress against it. */
+  forwarder?: string;
 }
 
 export interface EIP712Config {
@@ -26,6 +28,16 @@ export interface Conventions {
   parentCollectionId: string;
 }
 
+/** Workflow metadata Sub0 / PredictionVault should expect (doctor). Unset fields are only compared between receivers. */
+export interface ExpectedWorkflowConfig {
+  /** Workflow owner address. */
+  author?: string;
+  /** bytes32 workflow ID. */
+  id?: string;
+  /** bytes10 workflow name as stored on the receivers. */
+  name?: string;
+}
+
 export interface ChainContractConfig {
   chainId: number;
   chainSelectorName: string;
@@ -34,6 +46,7 @@ export interface ChainContractConfig {
   contracts: ChainContracts;
   eip712: EIP712Config;
   conventions: Conventions;
+  expectedWorkflow?: ExpectedWorkflowConfig;
 }
 
 export type ContractsConfigByTarget = Record<string, ChainContractConfig>;
@@ -3,6 +3,8 @@
  * Matches md/cre.contract.md: report = prefix (1 byte) + abi.encode(payload).
  */
 
+import type { Sub0Market } from "./market";
+
 /** Sub0 CRE action prefixes (first byte of report). */
 export const SUB0_CRE_ACTION = {
   CREATE: 0x00,
@@ -60,3 +62,47 @@ export interface PredictionVaultExecuteTradePayload {
   donSignature: `0x${string}`;
   userSignature: `0x${string}`;
 }
+
+/** PredictionVault seed liquidity: abi.encode(questionId, amountUsdc). */
+export interface PredictionVaultSeedLiquidityPayload {
+  questionId: `0x${string}`;
+  amountUsdc: bigint;
+}
+
+/** Receiver a CRE report is addressed to; the same prefix byte means different actions on each. */
+export type CreReportContract = "sub0" | "predictionVault";
+
+/** Report decoded by lib/decodeReport.ts: contract + action named from the prefix byte, typed payload. */
+export type DecodedCreReport =
+  | { contract: "sub0"; action: "createMarket"; prefix: `0x${string}`; payload: Sub0Market }
+  | { contract: "sub0"; action: "resolve"; prefix: `0x${string}`; payload: Sub0ResolvePayload }
+  | { contract: "sub0"; action: "stake"; prefix: `0x${string}`; payload: Sub0StakePayload }
+  | { contract: "sub0"; action: "redeem"; prefix: `0x${string}`; payload: Sub0RedeemPayload }
+  | {
+      contract: "predictionVault";
+      action: "executeTrade";
+      prefix: `0x${string}`;
+      payload: PredictionVaultExecuteTradePayload;
+    }
+  | {
+      contract: "predictionVault";
+      action: "seedLiquidity";
+      prefix: `0x${string}`;
+      payload: PredictionVaultSeedLiquidityPayload;
+    };
+
+/** Report a write would have sent under dryRun: receiver + full report hex (prefix byte || abi payload). */
+export interface DryRunReport {
+  label: string;
+  receiver: `0x${string}`;
+  /** First byte of reportHex (CRE action). */
+  prefix: `0x${string}`;
+  reportHex: `0x${string}`;
+}
+
+/** Decoded pre-flight check result (market exists, nonce unused, oracle matches, ...). */
+export interface PreflightCheck {
+  name: string;
+  ok: boolean;
+  detail: string;
+}
@@ -5,21 +5,127 @@
 
 import type { ChainContractConfig } from "./contracts";
 
+/** "lmsr" = fixed b; "ls-lmsr" = liquidity-sensitive, b = alpha * ∑ q. */
+export type LmsrPricingModelName = "lmsr" | "ls-lmsr";
+
+/** Trusted sources for the LMSR pricing model and liquidity parameter (see lib/lmsrParams.ts). */
+export interface LmsrParamsConfig {
+  /** Pricing model pinned per questionId; the request cannot override it. */
+  pricingModelByQuestionId?: Record<string, LmsrPricingModelName>;
+  /** Model for markets with no per-market or backend model; a different body.pricingModel is rejected. Default "lmsr". */
+  defaultPricingModel?: LmsrPricingModelName;
+  /** LS-LMSR alpha per questionId (e.g. 0.05 / (n * ln n) for a 5% maximum spread). */
+  alphaByQuestionId?: Record<string, string>;
+  /** LS-LMSR alpha for markets with no per-market or backend value. */
+  defaultAlpha?: string;
+  /** Per-market b keyed by questionId (bytes32 hex), outcome-token units. Checked first. */
+  bParameterByQuestionId?: Record<string, string>;
+  /**
+   * Backend market registry path; GET <backendUrl><path>?questionId=0x... returns { bParameter } or
+   * { seededLiquidityUsdc } (b = seeded liquidity / ln(n)), and optionally { pricingModel, alpha }.
+   * Sent with the backend API key unless backendMarketParamsNoAuth is true.
+   */
+  backendMarketParamsPath?: string;
+  /** Call backendMarketParamsPath without the API key (a public registry endpoint). Default false. */
+  backendMarketParamsNoAuth?: boolean;
+  /** b for markets with no per-market or backend value. */
+  defaultBParameter?: string;
+  /**
+   * quote/order/buy/sell: max deviation of the caller's tradeCostUsdc from the LMSR price at vault q, in basis points.
+   * Default 50.
+   */
+  quoteToleranceBps?: number;
+  /** When true, body.bParameter / body.alpha is used (flagged as source "request") if no trusted value exists. Default false. */
+  allowRequestBParameter?: boolean;
+}
+
 export interface LmsrPricingConfig {
   contracts?: ChainContractConfig;
   deadlineSeconds?: number;
+  backendUrl?: string;
+  lmsr?: LmsrParamsConfig;
 }
 
 export interface LmsrPricingRequestPayload {
   marketId: string;
   outcomeIndex: number;
+  /** True = buy (pays C(q') - C(q)); false = sell (refund C(q) - C(q')). Defaults to true. */
+  buy: boolean;
   quantity: string;
-  bParameter: string;
+  /** Optional; must match the market's trusted b (config or backend). See LmsrParamsConfig. */
+  bParameter?: string;
+  /** Optional; must match the market's trusted model (config, backend or default), like bParameter. */
+  pricingModel?: string;
+  /** Optional LS-LMSR alpha; same trust rules as bParameter. */
+  alpha?: string;
+  /**
+   * USDC units. When set, quantity is solved instead of taken from the body:
+   * buy = largest quantity whose cost fits the budget; sell = smallest quantity whose refund reaches it.
+   */
+  budgetUsdc?: string;
+  /** Slippage tolerance for the recommended maxCostUsdc, in basis points (0..10000). Default 0. */
+  slippageBps?: number;
 }
 
 export interface LmsrPricingResponse {
+  marketId: string;
+  /** "true" for a buy quote, "false" for a sell quote. */
+  buy: string;
+  /** Quantity signed in the quote (solved when budgetUsdc was sent). */
+  quantity: string;
+  budgetUsdc?: string;
+  pricingModel: string;
+  /** Effective b before the trade (alpha * ∑ q under LS-LMSR). */
+  bParameter: string;
+  /** Where b (or alpha under LS-LMSR) came from: config | backend | seed | default | request. */
+  bParameterSource: string;
+  /** LS-LMSR only. */
+  alpha?: string;
+  /** Buy: cost in USDC units (rounded up). Sell: refund in USDC units (rounded down). */
   tradeCostUsdc: string;
+  /** tradeCostUsdc per outcome token (USDC per share). */
+  averageFillPrice: string;
+  /** Marginal price of the outcome at the current q. */
+  marginalPriceBefore: string;
+  /** Marginal price of the outcome once the trade is applied. */
+  marginalPriceAfter: string;
+  /** Average fill vs marginalPriceBefore, basis points (2 decimals). Compare against splitting the order. */
+  priceImpactBps: string;
+  slippageBps: string;
+  /** Recommended UserTrade maxCostUsdc: buy = max pay (cost + slippage, rounded up); sell = min receive (rounded down). */
+  maxCostUsdc: string;
   donSignature: string;
   deadline: string;
   nonce: string;
 }
+
+export interface LmsrPricesRequestPayload {
+  marketId: string;
+  /** Optional; must match the market's trusted b (config or backend). */
+  bParameter?: string;
+  pricingModel?: string;
+  alpha?: string;
+}
+
+/** getPrices response: single source of truth for the LMSR state the UI renders. */
+export interface LmsrPricesResponse {
+  marketId: string;
+  questionId: string;
+  conditionId: string;
+  outcomeSlotCount: string;
+  pricingModel: string;
+  /** Effective b at q (alpha * ∑ q under LS-LMSR). */
+  bParameter: string;
+  /** Where b (or alpha under LS-LMSR) came from: config | backend | seed | default | request. */
+  bParameterSource: string;
+  /** LS-LMSR only. */
+  alpha?: string;
+  /** Vault outcome balances (q), outcome-token units. */
+  q: string[];
+  /** Instantaneous price per outcome. Fixed b: softmax of q/b, sums to 1. LS-LMSR: sums to slightly more than 1. */
+  prices: string[];
+  /** C(q) = b * ln(∑ e^(q_i/b)), outcome-token units. */
+  totalCost: string;
+  /** b * ln(n) at the effective b, outcome-token units (LS-LMSR: grows with ∑ q). */
+  worstCaseLoss: string;
+}
@@ -64,3 +64,54 @@ export interface BatchTradeResponse {
   txHashes: string[];
   errors?: string[];
 }
+
+/** One bundle leg: a UserTrade signed by the bundle's user. */
+export interface BundleLegItem {
+  outcomeIndex: number;
+  buy: boolean;
+  quantity: string;
+  /** User-signed bound: max pay (buy) or min receive (sell). */
+  maxCostUsdc: string;
+  nonce: string;
+  deadline: string;
+  userSignature: string;
+}
+
+/** Bundle payload: several legs on one market, priced together and executed in order. */
+export interface BundleTradePayload {
+  questionId: string;
+  legs: BundleLegItem[];
+  bParameter?: string;
+  pricingModel?: string;
+  alpha?: string;
+}
+
+export interface BundleLegResult {
+  outcomeIndex: string;
+  buy: string;
+  quantity: string;
+  /** DON-signed cost (buy) or refund (sell) for this leg, USDC units. */
+  tradeCostUsdc: string;
+  maxCostUsdc: string;
+  nonce: string;
+  deadline: string;
+  txHash?: string;
+}
+
+/**
+ * Bundle response: legs in execution order; txHashes for submitted legs. status "partial" when a submit failed
+ * mid-bundle: failedLeg is that leg's index, legs before it were submitted, legs after it were not; error says why.
+ */
+export interface BundleTradeResponse {
+  status: "ok" | "partial";
+  questionId: string;
+  user: string;
+  /** Sum of buy costs minus sum of sell refunds, USDC units (negative = net refund). */
+  netCostUsdc: string;
+  /** C(q + Δ) - C(q) before rounding, outcome-token units. */
+  netCost: string;
+  legs: BundleLegResult[];
+  txHashes: string[];
+  failedLeg?: string;
+  error?: string;
+}
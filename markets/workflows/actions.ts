@@ -0,0 +1,252 @@
+/**
+ * HTTP action registry: the single list main.ts dispatches from. Adding an action here makes it
+ * routable, validated against its schema, included in listActions and (with callbackPath) POSTed to the backend.
+ * scopes lists which key scopes (config.httpAuth.keys) may call it.
+ */
+
+import type { ActionContext, ActionRegistry } from "../lib/actionRegistry";
+import type { HttpScope } from "../types/config";
+import { HTTP_SCOPES } from "../lib/httpMiddleware";
+import { describeActions } from "../lib/actionRegistry";
+import { parseActionPayload } from "../lib/payloadValidation";
+import {
+  approveConditionalTokenPayloadSchema,
+  approveErc20PayloadSchema,
+  bundlePayloadSchema,
+  createAgentKeyPayloadSchema,
+  createMarketPayloadSchema,
+  createMarketsFromBackendPayloadSchema,
+  decodeReportPayloadSchema,
+  doctorPayloadSchema,
+  executeConfidentialTradePayloadSchema,
+  getMarketPayloadSchema,
+  getPositionsPayloadSchema,
+  getPricesPayloadSchema,
+  listActionsPayloadSchema,
+  lmsrPricingPayloadSchema,
+  prepareRedeemPayloadSchema,
+  quotePayloadSchema,
+  redeemPayloadSchema,
+  resolveMarketPayloadSchema,
+  runSettlementPayloadSchema,
+  seedPayloadSchema,
+  stakePayloadSchema,
+} from "../lib/actionSchemas";
+import { handleQuoteSigning } from "./quoteSigning";
+import { handleLmsrPricing, handleGetPrices } from "./lmsrPricing";
+import { handleBundleTrade } from "./bundleTrade";
+import { handleCreateAgentKey } from "./createAgentKey";
+import {
+  handleCreateMarket,
+  handleGetMarket,
+  handleSeedLiquidity,
+  handleResolveMarket,
+  handleStake,
+  handleRedeem,
+  handlePrepareRedeem,
+} from "./platformActions";
+import { handleApproveErc20, handleApproveConditionalToken } from "./approveWorkflows";
+import { handleDecodeReport } from "./decodeReport";
+import { handleGetPositions } from "./getPositions";
+import { handleDoctor } from "./doctor";
+import { handleCreateMarketsFromBackend } from "./createMarketsFromBackend";
+import { handleRunSettlement } from "./runSettlement";
+import { handleExecuteConfidentialTrade } from "./executeConfidentialTrade";
+
+/** Re-encode the body with `buy` forced, for the buy / sell shorthands of order. */
+function withBuy(ctx: ActionContext, buy: boolean): { input: Uint8Array } {
+  return { input: new TextEncoder().encode(JSON.stringify({ ...ctx.body, buy })) };
+}
+
+/** Reads are open to every key; writes need the scope of the caller that owns them. */
+const ANY_KEY = HTTP_SCOPES;
+const TRADER: HttpScope[] = ["trader"];
+const PLATFORM_ADMIN: HttpScope[] = ["platform-admin"];
+
+export const HTTP_ACTIONS: ActionRegistry = {
+  order: {
+    description: "Signed LMSR quote for PredictionVault.executeTrade; with userSignature or trades, submits it.",
+    schema: quotePayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleQuoteSigning(runtime, payload, writeOptions),
+    callbackPath: "/api/cre/quote",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  buy: {
+    description: "order with buy = true.",
+    schema: quotePayloadSchema,
+    handler: (ctx) => handleQuoteSigning(ctx.runtime, withBuy(ctx, true), ctx.writeOptions),
+    callbackPath: "/api/cre/buy",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  sell: {
+    description: "order with buy = false.",
+    schema: quotePayloadSchema,
+    handler: (ctx) => handleQuoteSigning(ctx.runtime, withBuy(ctx, false), ctx.writeOptions),
+    callbackPath: "/api/cre/sell",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  bundle: {
+    description: "Several outcome legs priced from one q, all validated before any executeTrade is submitted.",
+    schema: bundlePayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleBundleTrade(runtime, payload, writeOptions),
+    callbackPath: "/api/cre/bundle",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  lmsrPricing: {
+    description: "DON computes LMSR cost from on-chain q and signs the quote (dual-signature relayer).",
+    schema: lmsrPricingPayloadSchema,
+    handler: ({ runtime, payload }) => handleLmsrPricing(runtime, payload),
+    callbackPath: "/api/cre/lmsr-pricing",
+    scopes: TRADER,
+    writesOnChain: false,
+    aliases: ["quote"],
+  },
+  getPrices: {
+    description: "Read-only LMSR price vector, C(q) and worst-case loss.",
+    schema: getPricesPayloadSchema,
+    handler: ({ runtime, payload }) => handleGetPrices(runtime, payload),
+    scopes: ANY_KEY,
+    writesOnChain: false,
+  },
+  createAgentKey: {
+    description: "Generate an agent wallet in the enclave; returns the address only.",
+    schema: createAgentKeyPayloadSchema,
+    handler: ({ runtime, client, payload }) => handleCreateAgentKey(runtime, client, payload),
+    scopes: PLATFORM_ADMIN,
+    writesOnChain: false,
+  },
+  createMarket: {
+    description: "Sub0 CRE 0x00 create(Market); optional amountUsdc seeds after create.",
+    schema: createMarketPayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleCreateMarket(runtime, payload, writeOptions),
+    scopes: PLATFORM_ADMIN,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  getMarket: {
+    description: "Read Sub0.getMarket(questionId).",
+    schema: getMarketPayloadSchema,
+    handler: ({ runtime, payload }) => handleGetMarket(runtime, payload),
+    scopes: ANY_KEY,
+    writesOnChain: false,
+  },
+  getPositions: {
+    description: "User's outcome position balances per market, with payouts and redeemable USDC once resolved.",
+    schema: getPositionsPayloadSchema,
+    handler: ({ runtime, payload }) => handleGetPositions(runtime, payload),
+    scopes: ANY_KEY,
+    writesOnChain: false,
+  },
+  seed: {
+    description: "PredictionVault CRE 0x01 seedMarketLiquidity.",
+    schema: seedPayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleSeedLiquidity(runtime, payload, writeOptions),
+    scopes: PLATFORM_ADMIN,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  resolveMarket: {
+    description: "Sub0 CRE 0x01 resolve(questionId, payouts, oracle).",
+    schema: resolveMarketPayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleResolveMarket(runtime, payload, writeOptions),
+    scopes: ["platform-admin", "settlement"],
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  stake: {
+    description: "Sub0 CRE 0x02 stake.",
+    schema: stakePayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleStake(runtime, payload, writeOptions),
+    callbackPath: "/api/cre/stake",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  redeem: {
+    description: "Sub0 CRE 0x03 redeem with the owner's signature.",
+    schema: redeemPayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleRedeem(runtime, payload, writeOptions),
+    callbackPath: "/api/cre/redeem",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+  },
+  prepareRedeem: {
+    description: "Redeem typed data, digest and current nonce for the owner to sign before redeem.",
+    schema: prepareRedeemPayloadSchema,
+    handler: ({ runtime, payload }) => handlePrepareRedeem(runtime, payload),
+    scopes: TRADER,
+    writesOnChain: false,
+  },
+  executeConfidentialTrade: {
+    description: "Agent-signed trade executed via PredictionVault with the agent key from the vault.",
+    schema: executeConfidentialTradePayloadSchema,
+    handler: ({ runtime, payload, writeOptions }) => handleExecuteConfidentialTrade(runtime, payload, writeOptions),
+    callbackPath: "/api/cre/execute-confidential-trade",
+    scopes: TRADER,
+    writesOnChain: true,
+    supportsDryRun: true,
+    aliases: ["execute-confidential-trade"],
+  },
+  approveErc20: {
+    description: "Sign ERC20 approve with the agent or backend key; returns the signed tx for broadcast.",
+    schema: approveErc20PayloadSchema,
+    handler: ({ runtime, payload }) => handleApproveErc20(runtime, payload),
+    scopes: TRADER,
+    writesOnChain: false,
+  },
+  approveConditionalToken: {
+    description: "Sign CTF setApprovalForAll with the agent or backend key; returns the signed tx for broadcast.",
+    schema: approveConditionalTokenPayloadSchema,
+    handler: ({ runtime, payload }) => handleApproveConditionalToken(runtime, payload),
+    scopes: TRADER,
+    writesOnChain: false,
+  },
+  decodeReport: {
+    description: "Decode CRE report hex for sub0 or predictionVault into its typed payload.",
+    schema: decodeReportPayloadSchema,
+    handler: ({ runtime, payload }) => handleDecodeReport(runtime, payload),
+    scopes: ANY_KEY,
+    writesOnChain: false,
+  },
+  createMarketsFromBackend: {
+    description: "Fetch agent markets from the backend, create them on-chain, POST onchain-created.",
+    schema: createMarketsFromBackendPayloadSchema,
+    handler: ({ runtime, body }) =>
+      handleCreateMarketsFromBackend(
+        runtime,
+        parseActionPayload("createMarketsFromBackend", createMarketsFromBackendPayloadSchema, body)
+      ),
+    scopes: PLATFORM_ADMIN,
+    writesOnChain: true,
+  },
+  runSettlement: {
+    description: "Backend deliberation, then resolution report to AgentSettlementReceiver and POST resolved.",
+    schema: runSettlementPayloadSchema,
+    handler: ({ runtime, payload }) => handleRunSettlement(runtime, payload),
+    scopes: ["settlement"],
+    writesOnChain: true,
+  },
+  doctor: {
+    description: "Check Sub0 / PredictionVault wiring, forwarder, expected workflow and signers against config; pass/fail per check.",
+    schema: doctorPayloadSchema,
+    handler: ({ runtime }) => handleDoctor(runtime),
+    scopes: PLATFORM_ADMIN,
+    writesOnChain: false,
+  },
+  listActions: {
+    description: "This list: every action with its fields, callback path and whether it writes on-chain.",
+    schema: listActionsPayloadSchema,
+    handler: () => describeActions(HTTP_ACTIONS),
+    scopes: ANY_KEY,
+    writesOnChain: false,
+  },
+};
@@ -15,6 +15,9 @@ import type {
   ApproveWorkflowResponse,
 } from "../types/approve";
 import { CTF_ABI } from "../lib/abis";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { approveConditionalTokenPayloadSchema, approveErc20PayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
 
 
 const BACKEND_SIGNER_ID = "BACKEND_SIGNER_PRIVATE_KEY";
@@ -69,7 +72,11 @@ function resolvePrivateKey(
     const secret = runtime.getSecret({ id: agentId.trim() }).result();
     const raw = secret?.value?.trim() ?? "";
     if (!raw) {
-      throw new Error(`Agent key secret not found for agentId=${agentId}; ensure cre secrets create or .env for this agent.`);
+      throw new CreError(
+        "AGENT_NOT_FOUND",
+        `Agent key secret not found for agentId=${agentId}; ensure cre secrets create or .env for this agent.`,
+        { agentId }
+      );
     }
     const privateKey = raw.startsWith("0x") ? (raw as Hex) : (`0x${raw}` as Hex);
     const account = privateKeyToAccount(privateKey);
@@ -80,39 +87,11 @@ function resolvePrivateKey(
 }
 
 function parseApproveErc20Payload(input: Uint8Array): ApproveErc20Payload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const signer = raw.signer as string | undefined;
-  if (signer !== "agent" && signer !== "backend") {
-    throw new Error('body.signer must be "agent" or "backend"');
-  }
-  return {
-    signer: signer as "agent" | "backend",
-    agentId: raw.agentId != null ? String(raw.agentId) : undefined,
-    token: raw.token != null ? String(raw.token) : undefined,
-    spender: String(raw.spender ?? ""),
-    amount: String(raw.amount ?? "0"),
-    nonce: raw.nonce != null ? String(raw.nonce) : undefined,
-    userInvoke: raw.userInvoke !== false,
-  };
+  return parseActionPayload("approveErc20", approveErc20PayloadSchema, input);
 }
 
 function parseApproveConditionalTokenPayload(input: Uint8Array): ApproveConditionalTokenPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const signer = raw.signer as string | undefined;
-  if (signer !== "agent" && signer !== "backend") {
-    throw new Error('body.signer must be "agent" or "backend"');
-  }
-  return {
-    signer: signer as "agent" | "backend",
-    agentId: raw.agentId != null ? String(raw.agentId) : undefined,
-    conditionalTokens: raw.conditionalTokens != null ? String(raw.conditionalTokens) : undefined,
-    operator: String(raw.operator ?? ""),
-    approved: raw.approved !== false,
-    nonce: raw.nonce != null ? String(raw.nonce) : undefined,
-    userInvoke: raw.userInvoke !== false,
-  };
+  return parseActionPayload("approveConditionalToken", approveConditionalTokenPayloadSchema, input);
 }
 
 /**
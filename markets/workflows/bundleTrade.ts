@@ -0,0 +1,245 @@
+/**
+ * Bundle: several legs (outcome, buy/sell, quantity) on one market, priced together and executed in order.
+ * All legs are priced from one vault q read: leg i pays C(q_i) - C(q_{i-1}), so costs sum to C(q + Δ) - C(q)
+ * and match what the vault charges when the legs execute in this order.
+ * Every leg is checked (UserTrade signature from one user, distinct unused nonce, deadline, maxCostUsdc bound,
+ * vault balance) before anything is submitted; a single failing leg, a malformed signature included, refuses the
+ * whole bundle with PRECONDITION_FAILED and one details.errors entry per failing leg.
+ * Legs are then DON-signed and submitted one executeTrade report each; if a submit fails, later legs are not sent and
+ * the response has status "partial" with failedLeg, so callers can tell a half-executed bundle from a complete one.
+ * Under dryRun, nonce/deadline/balance failures are reported as pre-flight checks and the reports are built, not written.
+ */
+
+import type { Runtime } from "@chainlink/cre-sdk";
+import Decimal from "decimal.js";
+import { recoverTypedDataAddress, type Hex } from "viem";
+import type { WorkflowConfig } from "../types/config";
+import type { BundleLegItem, BundleLegResult, BundleTradePayload, BundleTradeResponse } from "../types/quote";
+import { signDONQuote, getNonceUsed, submitExecuteTrade, USER_TRADE_TYPES } from "../lib/predictionVault";
+import { getMarket, ensureQuestionIdBytes32 } from "../lib/sub0";
+import { getVaultBalances } from "../lib/ctf";
+import { bundleCosts } from "../lib/lmsrMath";
+import { resolveLmsrLiquidity } from "../lib/lmsrParams";
+import { preflight } from "../lib/dryRun";
+import type { WriteHandlerOptions } from "../lib/dryRun";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { bundlePayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
+
+const SECRET_ID = "BACKEND_SIGNER_PRIVATE_KEY";
+
+export function parseBundlePayload(input: Uint8Array): BundleTradePayload {
+  return parseActionPayload("bundle", bundlePayloadSchema, input);
+}
+
+export async function handleBundleTrade(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<BundleTradeResponse> {
+  const contracts = runtime.config.contracts;
+  if (!contracts) {
+    runtime.log("bundle requires config.contracts");
+    throw new Error("Missing config.contracts");
+  }
+
+  const body = parseBundlePayload(payload.input);
+  const questionId = ensureQuestionIdBytes32(body.questionId);
+  const ctx = { runtime, config: contracts };
+
+  const market = await getMarket(ctx, questionId, { useLatestBlock: true });
+  const marketExists = market.outcomeSlotCount > 0;
+  preflight(options.dryRun, "marketExists", marketExists, "Market not found or invalid", "MARKET_NOT_FOUND");
+  if (!marketExists) {
+    return { status: "ok", questionId, user: "", netCostUsdc: "0", netCost: "0", legs: [], txHashes: [] };
+  }
+
+  const outcomeTokenDecimals = contracts.conventions?.outcomeTokenDecimals ?? 6;
+  const usdcDecimals = contracts.conventions?.usdcDecimals ?? 6;
+  const { liquidity } = resolveLmsrLiquidity(
+    runtime,
+    { lmsr: runtime.config.lmsr, backendUrl: runtime.config.backendUrl, outcomeTokenDecimals, usdcDecimals },
+    questionId,
+    market.outcomeSlotCount,
+    body
+  );
+  const qRaw = getVaultBalances(ctx, market.conditionId, market.outcomeSlotCount);
+  runtime.log(`Bundle of ${body.legs.length} legs, q: ${qRaw.join(",")}`);
+
+  const domain = {
+    name: contracts.eip712.domainName,
+    version: contracts.eip712.domainVersion,
+    chainId: contracts.chainId,
+    verifyingContract: contracts.contracts.predictionVault as Hex,
+  };
+  const now = BigInt(Math.floor(runtime.now().getTime() / 1000));
+  const errors: string[] = [];
+  const seenNonces = new Set<string>();
+  const available = [...qRaw];
+  const parsed: { quantity: bigint; maxCostUsdc: bigint; nonce: bigint; deadline: bigint }[] = [];
+  let user: `0x${string}` | undefined;
+
+  for (let i = 0; i < body.legs.length; i++) {
+    const leg = body.legs[i]!;
+    const quantity = BigInt(leg.quantity);
+    const maxCostUsdc = BigInt(leg.maxCostUsdc);
+    const nonce = BigInt(leg.nonce);
+    const deadline = BigInt(leg.deadline);
+    if (leg.outcomeIndex >= market.outcomeSlotCount) {
+      errors.push(`leg[${i}]: outcomeIndex out of range`);
+      continue;
+    }
+    if (seenNonces.has(nonce.toString())) {
+      errors.push(`leg[${i}]: duplicate nonce in bundle`);
+      continue;
+    }
+    seenNonces.add(nonce.toString());
+    const stateChecks: [string, boolean, string][] = [
+      ["deadline", deadline > now, "deadline expired"],
+      ["nonceUnused", !getNonceUsed(runtime, contracts, questionId, nonce), "nonce already used"],
+      ["vaultBalance", !leg.buy || available[leg.outcomeIndex]! >= quantity, "insufficient vault balance"],
+    ];
+    const failed = stateChecks.find(([, ok]) => !ok);
+    if (options.dryRun) {
+      for (const [name, ok, message] of stateChecks) {
+        preflight(options.dryRun, `leg[${i}].${name}`, ok, `leg[${i}]: ${message}`);
+      }
+    } else if (failed) {
+      errors.push(`leg[${i}]: ${failed[2]}`);
+      continue;
+    }
+    let signer: `0x${string}`;
+    try {
+      signer = await recoverTypedDataAddress({
+        domain,
+        types: USER_TRADE_TYPES,
+        primaryType: "UserTrade",
+        message: {
+          marketId: questionId,
+          outcomeIndex: BigInt(leg.outcomeIndex),
+          buy: leg.buy,
+          quantity,
+          maxCostUsdc,
+          nonce,
+          deadline,
+        },
+        signature: leg.userSignature as Hex,
+      });
+    } catch (err) {
+      const detail =
+        (err as { shortMessage?: string }).shortMessage ?? (err instanceof Error ? err.message : String(err));
+      errors.push(`leg[${i}]: invalid userSignature (${detail})`);
+      continue;
+    }
+    if (user != null && signer.toLowerCase() !== user.toLowerCase()) {
+      errors.push(`leg[${i}]: signed by ${signer}, expected ${user} (all legs must be signed by the same user)`);
+      continue;
+    }
+    user = signer;
+    // only an accepted leg moves the balance later legs are checked against
+    available[leg.outcomeIndex] = leg.buy
+      ? available[leg.outcomeIndex]! - quantity
+      : available[leg.outcomeIndex]! + quantity;
+    parsed.push({ quantity, maxCostUsdc, nonce, deadline });
+  }
+  if (errors.length > 0) {
+    throw new CreError("PRECONDITION_FAILED", `Bundle refused: ${errors.join("; ")}`, { errors });
+  }
+
+  const pricing = bundleCosts(
+    qRaw.map((qi) => new Decimal(qi.toString())),
+    body.legs.map((leg, i) => ({
+      outcomeIndex: leg.outcomeIndex,
+      buy: leg.buy,
+      quantity: new Decimal(parsed[i]!.quantity.toString()),
+    })),
+    liquidity,
+    outcomeTokenDecimals,
+    usdcDecimals
+  );
+  pricing.legCostsUsdc.forEach((cost, i) => {
+    const leg = body.legs[i]!;
+    const bound = parsed[i]!.maxCostUsdc;
+    if (leg.buy && cost > bound) {
+      errors.push(`leg[${i}]: cost ${cost} exceeds maxCostUsdc ${bound}`);
+    } else if (!leg.buy && cost < bound) {
+      errors.push(`leg[${i}]: refund ${cost} below maxCostUsdc ${bound}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new CreError("PRECONDITION_FAILED", `Bundle refused: ${errors.join("; ")}`, { errors });
+  }
+
+  const secret = runtime.getSecret({ id: SECRET_ID }).result();
+  const privateKey = secret.value ?? "";
+  if (!privateKey) {
+    throw new Error("Backend signer secret not configured");
+  }
+
+  const bundleUser = user!;
+  const legs: BundleLegResult[] = [];
+  const txHashes: string[] = [];
+  let netCostUsdc = 0n;
+  let submitError: string | undefined;
+  let failedLeg: number | undefined;
+  for (let i = 0; i < body.legs.length; i++) {
+    const leg = body.legs[i]!;
+    const { quantity, maxCostUsdc, nonce, deadline } = parsed[i]!;
+    const tradeCostUsdc = pricing.legCostsUsdc[i]!;
+    netCostUsdc += leg.buy ? tradeCostUsdc : -tradeCostUsdc;
+    const result: BundleLegResult = {
+      outcomeIndex: String(leg.outcomeIndex),
+      buy: String(leg.buy),
+      quantity: quantity.toString(),
+      tradeCostUsdc: tradeCostUsdc.toString(),
+      maxCostUsdc: maxCostUsdc.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+    };
+    legs.push(result);
+    if (submitError) continue;
+    try {
+      const donSignature = signDONQuote(
+        {
+          questionId,
+          outcomeIndex: leg.outcomeIndex,
+          buy: leg.buy,
+          quantity,
+          tradeCostUsdc,
+          user: bundleUser,
+          nonce,
+          deadline,
+        },
+        contracts,
+        privateKey
+      );
+      result.txHash = submitExecuteTrade(
+        runtime,
+        contracts,
+        { questionId, outcomeIndex: BigInt(leg.outcomeIndex), buy: leg.buy, quantity, tradeCostUsdc, nonce, deadline },
+        maxCostUsdc,
+        bundleUser,
+        donSignature,
+        leg.userSignature as Hex,
+        options.dryRun
+      );
+      txHashes.push(result.txHash);
+    } catch (err) {
+      failedLeg = i;
+      submitError = `leg[${i}]: ${err instanceof Error ? err.message : String(err)}; later legs not submitted`;
+      runtime.log(`Bundle stopped at ${submitError}`);
+    }
+  }
+
+  runtime.log(`Bundle submitted ${txHashes.length}/${body.legs.length} legs.`);
+  return {
+    status: failedLeg === undefined ? "ok" : "partial",
+    questionId,
+    user: bundleUser,
+    netCostUsdc: netCostUsdc.toString(),
+    netCost: pricing.netCost.toString(),
+    legs,
+    txHashes,
+    ...(failedLeg === undefined ? {} : { failedLeg: String(failedLeg), error: submitError }),
+  };
+}
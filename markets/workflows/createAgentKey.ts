@@ -14,6 +14,8 @@ import {
   signApproveErc20WithKey,
   signApproveConditionalTokenWithKey,
 } from "./approveWorkflows";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { createAgentKeyPayloadSchema } from "../lib/actionSchemas";
 
 const IV_LENGTH = 12;
 const SALT_STR = "sub0-agent-key-v1";
@@ -98,16 +100,7 @@ function uint8ArrayToBase64Url(u8: Uint8Array): string {
 }
 
 export function parseCreateAgentKeyPayload(input: Uint8Array): CreateAgentKeyPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const agentId = typeof raw.agentId === "string" ? raw.agentId.trim() : "";
-  if (!agentId) {
-    throw new Error("Missing or invalid body.agentId");
-  }
-  const funderNonce =
-    raw.funderNonce != null ? Number(raw.funderNonce) : undefined;
-  const entropy = typeof raw.entropy === "string" ? raw.entropy.trim() || undefined : undefined;
-  return { agentId, funderNonce, entropy };
+  return parseActionPayload("createAgentKey", createAgentKeyPayloadSchema, input);
 }
 
 /**
@@ -9,6 +9,8 @@ import type { Runtime } from "@chainlink/cre-sdk";
 import type { WorkflowConfig } from "../types/config";
 import { sendConfidentialBackendRequest } from "../lib/confidentialHttp";
 import { handleCreateMarket } from "./platformActions";
+import { CreError } from "../lib/errors";
+import { mergeConfirmations, type WriteConfirmation } from "../lib/confirmation";
 
 const DEFAULT_AGENT_MARKETS_PATH = "/api/internal/agent-markets";
 const DEFAULT_ONCHAIN_CREATED_PATH = "/api/internal/markets/onchain-created";
@@ -120,14 +122,16 @@ export async function handleCreateMarketsFromBackend(
     const getRes = sendConfidentialBackendRequest(runtime, requestOptions);
     if (getRes.statusCode < 200 || getRes.statusCode >= 300) {
       const bodyText = new TextDecoder().decode(getRes.body);
-      throw new Error(`Backend agent-markets failed: ${getRes.statusCode} ${bodyText}`);
+      throw new CreError("UPSTREAM_FAILED", `Backend agent-markets failed: ${getRes.statusCode} ${bodyText}`, {
+        statusCode: getRes.statusCode,
+      });
     }
     const getBody = new TextDecoder().decode(getRes.body);
     try {
       const parsed = JSON.parse(getBody) as { data?: BackendMarketPayload[] };
       data = Array.isArray(parsed?.data) ? parsed.data : [];
     } catch {
-      throw new Error("Backend agent-markets response is not valid JSON with data array");
+      throw new CreError("UPSTREAM_FAILED", "Backend agent-markets response is not valid JSON with data array");
     }
   }
 
@@ -143,6 +147,7 @@ export async function handleCreateMarketsFromBackend(
   runtime.log(`Creating ${toCreate.length} markets on-chain.`);
   const batchResults: Record<string, unknown>[] = [];
   const failedMarkets: { question: string; reason: string; index?: number }[] = [];
+  const confirmations: WriteConfirmation[] = [];
   let errors = 0;
 
   for (let i = 0; i < toCreate.length; i++) {
@@ -163,8 +168,9 @@ export async function handleCreateMarketsFromBackend(
     try {
       const input = new TextEncoder().encode(JSON.stringify(item));
       const result = await handleCreateMarket(runtime, { input });
-      const questionId = result.questionId;
-      const createMarketTxHash = result.createMarketTxHash ?? "";
+      const questionId = result.questionId as string | undefined;
+      const createMarketTxHash = (result.createMarketTxHash as string | undefined) ?? "";
+      confirmations.push(result.confirmation as WriteConfirmation);
       if (!questionId) {
         errors++;
         failedMarkets.push({
@@ -236,5 +242,6 @@ export async function handleCreateMarketsFromBackend(
     total: String(data.length),
     markets: marketResults,
     failedMarkets,
+    confirmation: mergeConfirmations(confirmations),
   };
 }
@@ -0,0 +1,64 @@
+/**
+ * decodeReport: read-only inspector for CRE report hex (e.g. from a failed forwarder tx or a dryRun response).
+ * Body: { reportHex, contract: "sub0" | "predictionVault" } or { reportHex, receiver } where receiver is matched
+ * against config.contracts (sub0 / predictionVault address).
+ */
+
+import type { Runtime } from "@chainlink/cre-sdk";
+import type { WorkflowConfig } from "../types/config";
+import type { CreReportContract } from "../types/cre";
+import { decodeReport } from "../lib/decodeReport";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { decodeReportPayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
+
+export interface DecodeReportPayload {
+  reportHex: `0x${string}`;
+  contract?: CreReportContract;
+  receiver?: `0x${string}`;
+}
+
+export function parseDecodeReportPayload(input: Uint8Array): DecodeReportPayload {
+  return parseActionPayload("decodeReport", decodeReportPayloadSchema, input);
+}
+
+/** bigint -> decimal string, recursively, so the decoded payload can go into the JSON response. */
+function toJsonValue(value: unknown): unknown {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value != null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonValue(v)]));
+  }
+  return value;
+}
+
+function resolveContract(runtime: Runtime<WorkflowConfig>, body: DecodeReportPayload): CreReportContract {
+  if (body.contract) return body.contract;
+  const receiver = body.receiver!.toLowerCase();
+  const addresses = runtime.config.contracts?.contracts;
+  if (addresses?.sub0?.toLowerCase() === receiver) return "sub0";
+  if (addresses?.predictionVault?.toLowerCase() === receiver) return "predictionVault";
+  throw new CreError(
+    "VALIDATION_FAILED",
+    `receiver ${body.receiver} is not the configured sub0 or predictionVault; pass contract explicitly`,
+    { receiver: body.receiver }
+  );
+}
+
+export function handleDecodeReport(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array }
+): Record<string, unknown> {
+  const body = parseDecodeReportPayload(payload.input);
+  const contract = resolveContract(runtime, body);
+  const decoded = decodeReport(contract, body.reportHex);
+  runtime.log(`Decoded ${decoded.contract} report ${decoded.prefix} (${decoded.action}).`);
+  return {
+    status: "ok",
+    result: "decodeReport",
+    contract: decoded.contract,
+    reportAction: decoded.action,
+    prefix: decoded.prefix,
+    payload: toJsonValue(decoded.payload),
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * doctor: read-only self-check of the deployed contracts against this workflow's config. Reads Sub0 and PredictionVault
+ * wiring (predictionVault, conditionalToken, vault, ctf, usdc), both receivers' forwarder and expected workflow
+ * author / id / name, and PredictionVault's donSigner / backendSigner, then compares them with config.contracts and
+ * the address of the BACKEND_SIGNER_PRIVATE_KEY secret. Every check is reported as { name, ok, detail }; a read that
+ * fails is a failed check, never a thrown error, so one bad address does not hide the others.
+ */
+
+import type { Runtime } from "@chainlink/cre-sdk";
+import { getAddress, isAddress, zeroAddress, zeroHash, type Abi, type Address, type Hex } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import type { WorkflowConfig } from "../types/config";
+import type { PreflightCheck } from "../types/cre";
+import { SUB0_ABI, PREDICTION_VAULT_ABI } from "../lib/abis";
+import { buildCallData, callContract, decodeCallResult, LATEST_BLOCK_NUMBER } from "../lib/evm";
+import { CreError } from "../lib/errors";
+
+const SIGNER_SECRET_ID = "BACKEND_SIGNER_PRIVATE_KEY";
+const ZERO_BYTES10 = "0x00000000000000000000";
+
+type Read<T> = { ok: true; value: T } | { ok: false; error: string };
+
+function sameAddress(a: string, b: string): boolean {
+  return isAddress(a) && isAddress(b) && getAddress(a) === getAddress(b);
+}
+
+function sameHex(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+export async function handleDoctor(runtime: Runtime<WorkflowConfig>): Promise<Record<string, unknown>> {
+  const contracts = runtime.config.contracts;
+  if (!contracts) {
+    throw new CreError("VALIDATION_FAILED", "doctor requires config.contracts");
+  }
+  const configured = contracts.contracts;
+  const checks: PreflightCheck[] = [];
+
+  /** View call at the latest block so a just-finished deploy or setter is visible. */
+  function read<T>(abi: Abi, to: string, functionName: string): Read<T> {
+    try {
+      const data = buildCallData(abi, functionName, []);
+      const reply = callContract(runtime, contracts!.chainSelectorName, to as Address, data, LATEST_BLOCK_NUMBER);
+      return { ok: true, value: decodeCallResult<T>(abi, functionName, reply.data) };
+    } catch (err) {
+      return { ok: false, error: `${functionName}() on ${to} failed: ${err instanceof Error ? err.message : String(err)}` };
+    }
+  }
+
+  function check(name: string, ok: boolean, detail: string): void {
+    checks.push({ name, ok, detail: ok ? detail || "ok" : detail });
+  }
+
+  /** on-chain address getter must equal the configured address. */
+  function checkAddress(name: string, actual: Read<string>, expected: string | undefined, label: string): void {
+    if (!actual.ok) return check(name, false, actual.error);
+    if (!expected) return check(name, false, `${label} not set in config.contracts; on-chain ${actual.value}`);
+    const ok = sameAddress(actual.value, expected);
+    check(name, ok, ok ? actual.value : `expected ${label} ${expected}, on-chain ${actual.value}`);
+  }
+
+  /** Both receivers read the same value; optional configured expectation. zero means the receiver does not enforce it. */
+  function checkPair(
+    name: string,
+    sub0: Read<string>,
+    vault: Read<string>,
+    expected: string | undefined,
+    zero: string,
+    same: (a: string, b: string) => boolean
+  ): void {
+    if (!sub0.ok) return check(name, false, sub0.error);
+    if (!vault.ok) return check(name, false, vault.error);
+    if (!same(sub0.value, vault.value)) {
+      return check(name, false, `Sub0 ${sub0.value} differs from PredictionVault ${vault.value}`);
+    }
+    if (expected) {
+      const ok = same(sub0.value, expected);
+      return check(name, ok, ok ? sub0.value : `expected ${expected}, on-chain ${sub0.value}`);
+    }
+    check(name, true, same(sub0.value, zero) ? "not enforced (zero on both receivers)" : sub0.value);
+  }
+
+  const sub0 = configured.sub0;
+  const vault = configured.predictionVault;
+
+  checkAddress("sub0.predictionVault", read<string>(SUB0_ABI, sub0, "predictionVault"), vault, "predictionVault");
+  checkAddress(
+    "sub0.conditionalToken",
+    read<string>(SUB0_ABI, sub0, "conditionalToken"),
+    configured.conditionalTokens,
+    "conditionalTokens"
+  );
+  checkAddress("sub0.vault", read<string>(SUB0_ABI, sub0, "vault"), configured.vault, "vault");
+  checkAddress(
+    "predictionVault.ctf",
+    read<string>(PREDICTION_VAULT_ABI, vault, "ctf"),
+    configured.conditionalTokens,
+    "conditionalTokens"
+  );
+  checkAddress("predictionVault.usdc", read<string>(PREDICTION_VAULT_ABI, vault, "usdc"), configured.usdc, "usdc");
+
+  const forwarder = read<string>(SUB0_ABI, sub0, "getForwarderAddress");
+  if (forwarder.ok && sameAddress(forwarder.value, zeroAddress)) {
+    check("forwarder", false, "Sub0 forwarder is not set (zero address); reports cannot be delivered");
+  } else {
+    checkPair(
+      "forwarder",
+      forwarder,
+      read<string>(PREDICTION_VAULT_ABI, vault, "getForwarderAddress"),
+      configured.forwarder,
+      zeroAddress,
+      sameAddress
+    );
+  }
+  const expected = contracts.expectedWorkflow;
+  checkPair(
+    "expectedAuthor",
+    read<string>(SUB0_ABI, sub0, "getExpectedAuthor"),
+    read<string>(PREDICTION_VAULT_ABI, vault, "getExpectedAuthor"),
+    expected?.author,
+    zeroAddress,
+    sameAddress
+  );
+  checkPair(
+    "expectedWorkflowId",
+    read<Hex>(SUB0_ABI, sub0, "getExpectedWorkflowId"),
+    read<Hex>(PREDICTION_VAULT_ABI, vault, "getExpectedWorkflowId"),
+    expected?.id,
+    zeroHash,
+    sameHex
+  );
+  checkPair(
+    "expectedWorkflowName",
+    read<Hex>(SUB0_ABI, sub0, "getExpectedWorkflowName"),
+    read<Hex>(PREDICTION_VAULT_ABI, vault, "getExpectedWorkflowName"),
+    expected?.name,
+    ZERO_BYTES10,
+    sameHex
+  );
+
+  let signer: string | undefined;
+  try {
+    const key = runtime.getSecret({ id: SIGNER_SECRET_ID }).result()?.value?.trim() ?? "";
+    if (key) signer = privateKeyToAccount((key.startsWith("0x") ? key : `0x${key}`) as Hex).address;
+    check("signerSecret", signer != null, signer ?? `${SIGNER_SECRET_ID} is empty`);
+  } catch (err) {
+    check("signerSecret", false, `${SIGNER_SECRET_ID} unreadable: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  for (const getter of ["donSigner", "backendSigner"] as const) {
+    const name = `predictionVault.${getter}`;
+    const actual = read<string>(PREDICTION_VAULT_ABI, vault, getter);
+    if (!actual.ok) check(name, false, actual.error);
+    else if (!signer) check(name, false, `on-chain ${actual.value}; cannot compare without ${SIGNER_SECRET_ID}`);
+    else {
+      const ok = sameAddress(actual.value, signer);
+      check(name, ok, ok ? actual.value : `expected ${SIGNER_SECRET_ID} address ${signer}, on-chain ${actual.value}`);
+    }
+  }
+
+  const failed = checks.filter((c) => !c.ok);
+  runtime.log(`doctor: ${checks.length - failed.length}/${checks.length} checks passed.`);
+  for (const c of failed) runtime.log(`doctor: FAIL ${c.name}: ${c.detail}`);
+  return {
+    status: "ok",
+    result: "doctor",
+    healthy: failed.length === 0 ? "true" : "false",
+    passed: String(checks.length - failed.length),
+    failed: String(failed.length),
+    checks,
+  };
+}
@@ -14,6 +14,11 @@ import type { ConfidentialTradePayload, ExecuteConfidentialTradeResponse } from
 import { getNonceUsed, signLMSRQuote, submitExecuteTrade } from "../lib/predictionVault";
 import { getMarket, ensureQuestionIdBytes32 } from "../lib/sub0";
 import { getVaultBalanceForOutcome } from "../lib/ctf";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { executeConfidentialTradePayloadSchema } from "../lib/actionSchemas";
+import { preflight } from "../lib/dryRun";
+import type { WriteHandlerOptions } from "../lib/dryRun";
+import { CreError } from "../lib/errors";
 
 const DON_SIGNER_ID = "BACKEND_SIGNER_PRIVATE_KEY";
 
@@ -36,24 +41,14 @@ export interface ExecuteConfidentialTradeHandlerConfig {
 }
 
 export function parseExecuteConfidentialTradePayload(input: Uint8Array): ConfidentialTradePayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  return {
-    agentId: String(raw.agentId ?? ""),
-    marketId: String(raw.marketId ?? raw.questionId ?? ""),
-    outcomeIndex: Number(raw.outcomeIndex ?? 0),
-    buy: Boolean(raw.buy),
-    quantity: String(raw.quantity ?? "0"),
-    tradeCostUsdc: String(raw.tradeCostUsdc ?? "0"),
-    nonce: String(raw.nonce ?? "0"),
-    deadline: String(raw.deadline ?? "0"),
-  };
+  return parseActionPayload("executeConfidentialTrade", executeConfidentialTradePayloadSchema, input);
 }
 
 
 export async function handleExecuteConfidentialTrade(
   runtime: Runtime<ExecuteConfidentialTradeHandlerConfig>,
-  payload: { input: Uint8Array }
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
 ): Promise<ExecuteConfidentialTradeResponse> {
   const config = runtime.config?.contracts;
   if (!config) {
@@ -71,25 +66,39 @@ export async function handleExecuteConfidentialTrade(
   //   throw new Error("Market not found or invalid");
   // }
   if (body.outcomeIndex >= market.outcomeSlotCount) {
-    throw new Error("Outcome index out of range");
+    throw new CreError("VALIDATION_FAILED", "Outcome index out of range", { outcomeIndex: body.outcomeIndex });
   }
 
   const nonce = BigInt(body.nonce);
-  if (getNonceUsed(runtime, config, questionId, nonce)) {
-    throw new Error("Nonce already used");
+  const nonceUnused = !getNonceUsed(runtime, config, questionId, nonce);
+  if (options.dryRun) {
+    preflight(options.dryRun, "nonceUnused", nonceUnused, "Nonce already used");
+  } else if (!nonceUnused) {
+    throw new CreError("NONCE_USED", "Nonce already used", { nonce: body.nonce });
   }
 
   if (body.buy) {
     const balance = await getVaultBalanceForOutcome({ runtime, config }, market.conditionId, body.outcomeIndex);
-    if (balance < BigInt(body.quantity)) {
-      throw new Error("Insufficient vault balance for this outcome");
+    const enough = balance >= BigInt(body.quantity);
+    if (options.dryRun) {
+      preflight(options.dryRun, "vaultBalance", enough, `Insufficient vault balance: ${balance} < ${body.quantity}`);
+    } else if (!enough) {
+      throw new CreError("INSUFFICIENT_VAULT_BALANCE", "Insufficient vault balance for this outcome", {
+        outcomeIndex: body.outcomeIndex,
+        available: balance.toString(),
+        quantity: body.quantity,
+      });
     }
   }
 
   const secret = runtime.getSecret({ id: body.agentId }).result();
   const privateKeyRaw = secret.value ?? "";
   if (!privateKeyRaw) {
-    throw new Error("Agent key secret not found; ensure cre secrets create or .env for this agentId");
+    throw new CreError(
+      "AGENT_NOT_FOUND",
+      "Agent key secret not found; ensure cre secrets create or .env for this agentId",
+      { agentId: body.agentId }
+    );
   }
   const privateKey: Hex = privateKeyRaw.startsWith("0x") ? (privateKeyRaw as Hex) : (`0x${privateKeyRaw}` as Hex);
 
@@ -153,7 +162,16 @@ export async function handleExecuteConfidentialTrade(
   const user = getAddress(publicKeyToAddress(bytesToHex(pubKey) as Hex));
 
   const maxCostUsdc = BigInt(body.tradeCostUsdc);
-  const txHash = submitExecuteTrade(runtime, config, quote, maxCostUsdc, user, donSignature, userSignature);
-  runtime.log("Confidential trade submitted successfully.");
+  const txHash = submitExecuteTrade(
+    runtime,
+    config,
+    quote,
+    maxCostUsdc,
+    user,
+    donSignature,
+    userSignature,
+    options.dryRun
+  );
+  if (!options.dryRun) runtime.log("Confidential trade submitted successfully.");
   return { txHash };
 }
@@ -0,0 +1,105 @@
+/**
+ * getPositions: read-only portfolio for one user. For each questionId: the user's balance of every outcome position
+ * (CTF getCollectionId -> getPositionId -> balanceOfBatch) and, once the condition is resolved, the payout vector and
+ * the collateral (USDC, raw units) each position redeems for: balance * payoutNumerators[i] / payoutDenominator.
+ * Body: { user, questionIds[] }.
+ */
+
+import type { Runtime } from "@chainlink/cre-sdk";
+import type { WorkflowConfig } from "../types/config";
+import type { EvmContext } from "../lib/evm";
+import { getMarket } from "../lib/sub0";
+import {
+  balanceOfBatch,
+  getCollectionId,
+  getPayoutDenominator,
+  getPayoutNumerators,
+  getPositionId,
+} from "../lib/ctf";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { getPositionsPayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
+
+export interface GetPositionsPayload {
+  user: `0x${string}`;
+  questionIds: `0x${string}`[];
+}
+
+export interface OutcomePosition {
+  outcomeIndex: number;
+  positionId: string;
+  balance: string;
+  /** Set once the condition is resolved. */
+  redeemableUsdc?: string;
+}
+
+export interface MarketPositions {
+  questionId: `0x${string}`;
+  conditionId: `0x${string}`;
+  question: string;
+  resolved: boolean;
+  payoutNumerators?: string[];
+  payoutDenominator?: string;
+  outcomes: OutcomePosition[];
+  /** Sum of redeemableUsdc over outcomes; set once resolved. */
+  redeemableUsdc?: string;
+}
+
+export function parseGetPositionsPayload(input: Uint8Array): GetPositionsPayload {
+  return parseActionPayload("getPositions", getPositionsPayloadSchema, input);
+}
+
+async function readMarketPositions(
+  ctx: EvmContext,
+  user: `0x${string}`,
+  questionId: `0x${string}`
+): Promise<MarketPositions> {
+  const market = await getMarket(ctx, questionId);
+  if (market.outcomeSlotCount === 0) {
+    throw new CreError("MARKET_NOT_FOUND", `Market not found for questionId ${questionId}`, { questionId });
+  }
+  const positionIds = Array.from({ length: market.outcomeSlotCount }, (_, i) =>
+    getPositionId(ctx, getCollectionId(ctx, market.conditionId, i))
+  );
+  const balances = balanceOfBatch(ctx, user, positionIds);
+  const denominator = getPayoutDenominator(ctx, market.conditionId);
+  const numerators = denominator > 0n ? getPayoutNumerators(ctx, market.conditionId) : undefined;
+
+  const outcomes: OutcomePosition[] = positionIds.map((positionId, i) => ({
+    outcomeIndex: i,
+    positionId: positionId.toString(),
+    balance: balances[i].toString(),
+    ...(numerators ? { redeemableUsdc: ((balances[i] * (numerators[i] ?? 0n)) / denominator).toString() } : {}),
+  }));
+  const base = {
+    questionId,
+    conditionId: market.conditionId,
+    question: market.question,
+    resolved: numerators != null,
+    outcomes,
+  };
+  if (!numerators) return base;
+  return {
+    ...base,
+    payoutNumerators: numerators.map(String),
+    payoutDenominator: denominator.toString(),
+    redeemableUsdc: outcomes.reduce((sum, o) => sum + BigInt(o.redeemableUsdc ?? "0"), 0n).toString(),
+  };
+}
+
+export async function handleGetPositions(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array }
+): Promise<Record<string, unknown>> {
+  const contracts = runtime.config.contracts;
+  if (!contracts) throw new Error("Missing config.contracts for getPositions");
+  const body = parseGetPositionsPayload(payload.input);
+  const ctx = { runtime, config: contracts };
+
+  const positions: MarketPositions[] = [];
+  for (const questionId of body.questionIds) {
+    positions.push(await readMarketPositions(ctx, body.user, questionId));
+  }
+  runtime.log(`Read positions of ${body.user} in ${positions.length} market(s).`);
+  return { status: "ok", result: "getPositions", user: body.user, positions };
+}
@@ -1,16 +1,39 @@
 /**
- * LMSR pricing handler: fetch on-chain q, compute cost, sign with DON key.
+ * LMSR pricing handler: fetch on-chain q, compute buy cost or sell refund, sign with DON key.
  * Used by main (action lmsrPricing) and by standalone lmsrPricing workflow.
+ * Also serves getPrices: read-only price vector, C(q) and worst-case loss from the same q.
+ * Both price with the market's model: fixed-b LMSR or LS-LMSR (b = alpha * ∑ q), see lib/lmsrParams.ts.
  */
 
 import type { Runtime } from "@chainlink/cre-sdk";
 import Decimal from "decimal.js";
 import type { ChainContractConfig } from "../types/contracts";
-import type { LmsrPricingRequestPayload, LmsrPricingResponse } from "../types/lmsr";
+import type {
+  LmsrParamsConfig,
+  LmsrPricingRequestPayload,
+  LmsrPricingResponse,
+  LmsrPricesRequestPayload,
+  LmsrPricesResponse,
+} from "../types/lmsr";
 import { getMarket, ensureQuestionIdBytes32 } from "../lib/sub0";
-import { getVaultBalanceForOutcome } from "../lib/ctf";
+import { getVaultBalances } from "../lib/ctf";
 import { signLMSRQuote, getNonceUsed } from "../lib/predictionVault";
-import { costToBuy, costToUsdcUnits } from "../lib/lmsrMath";
+import {
+  costFunction,
+  effectiveLiquidity,
+  marginalPrices,
+  quantityForBudget,
+  quantityForSellTarget,
+  slippageLimitUsdc,
+  tradeCostUsdc,
+  tradeImpact,
+  worstCaseLoss,
+} from "../lib/lmsrMath";
+import { resolveLmsrLiquidity } from "../lib/lmsrParams";
+import type { ResolvedLmsrLiquidity } from "../lib/lmsrParams";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { getPricesPayloadSchema, lmsrPricingPayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
 
 declare function randomSeed(mode: 1 | 2): number;
 
@@ -18,16 +41,12 @@ const DEFAULT_DEADLINE_SECONDS = 900;
 const DON_SIGNER_ID = "BACKEND_SIGNER_PRIVATE_KEY";
 
 export function parseLmsrPayload(input: Uint8Array): LmsrPricingRequestPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  return {
-    marketId: String(raw.marketId ?? ""),
-    outcomeIndex: Number(raw.outcomeIndex ?? 0),
-    quantity: String(raw.quantity ?? "0"),
-    bParameter: String(raw.bParameter ?? raw.b ?? "1"),
-  };
+  return parseActionPayload("lmsrPricing", lmsrPricingPayloadSchema, input);
 }
 
+export function parseLmsrPricesPayload(input: Uint8Array): LmsrPricesRequestPayload {
+  return parseActionPayload("getPrices", getPricesPayloadSchema, input);
+}
 
 /**
  * Deterministic nonce for DON consensus: uses CRE host randomSeed(mode 2).
@@ -51,9 +70,24 @@ function randomNonce(): bigint {
   return BigInt(hex);
 }
 
+/** Response fields describing the model and liquidity a quote or price vector was computed with. */
+function liquidityFields(
+  resolved: ResolvedLmsrLiquidity,
+  bParam: Decimal
+): { pricingModel: string; bParameter: string; bParameterSource: string; alpha?: string } {
+  return {
+    pricingModel: resolved.liquidity.model,
+    bParameter: bParam.toString(),
+    bParameterSource: resolved.source,
+    ...(resolved.liquidity.model === "ls-lmsr" ? { alpha: resolved.liquidity.alpha.toString() } : {}),
+  };
+}
+
 export interface LmsrPricingHandlerConfig {
   contracts?: ChainContractConfig;
   deadlineSeconds?: number;
+  backendUrl?: string;
+  lmsr?: LmsrParamsConfig;
 }
 
 export async function handleLmsrPricing(
@@ -69,40 +103,78 @@ export async function handleLmsrPricing(
   }
 
   const body = parseLmsrPayload(payload.input);
-  if (!body.marketId) throw new Error("Missing body.marketId");
-  if (!body.quantity || body.quantity === "0") throw new Error("Missing or zero body.quantity");
 
   const questionId = ensureQuestionIdBytes32(body.marketId);
   const ctx = { runtime, config };
 
   const market = await getMarket(ctx, questionId, { useLatestBlock: true });
   if (market.outcomeSlotCount === 0) {
-    throw new Error("Market not found or invalid");
+    throw new CreError("MARKET_NOT_FOUND", "Market not found or invalid", { questionId });
   }
   if (body.outcomeIndex < 0 || body.outcomeIndex >= market.outcomeSlotCount) {
-    throw new Error("Outcome index out of range");
+    throw new CreError("VALIDATION_FAILED", "Outcome index out of range", { outcomeIndex: body.outcomeIndex });
   }
 
-  const bParam = new Decimal(body.bParameter);
-  if (bParam.lte(0)) {
-    throw new Error("bParameter must be positive");
-  }
+  const outcomeDecimals = config.conventions?.outcomeTokenDecimals ?? 6;
+  const usdcDecimals = config.conventions?.usdcDecimals ?? 6;
+  const resolved = resolveLmsrLiquidity(
+    runtime,
+    {
+      lmsr: runtime.config?.lmsr,
+      backendUrl: runtime.config?.backendUrl,
+      outcomeTokenDecimals: outcomeDecimals,
+      usdcDecimals,
+    },
+    questionId,
+    market.outcomeSlotCount,
+    body
+  );
+  const liquidity = resolved.liquidity;
 
-  const qRaw: bigint[] = [];
-  for (let i = 0; i < market.outcomeSlotCount; i++) {
-    runtime.log(`market.conditionId: ${market.conditionId}`);
-    const balance = getVaultBalanceForOutcome(ctx, market.conditionId, i);
-    runtime.log(`balance: ${balance}`);
-    qRaw.push(balance);
-  }
+  runtime.log(`market.conditionId: ${market.conditionId}`);
+  const qRaw = getVaultBalances(ctx, market.conditionId, market.outcomeSlotCount);
+  runtime.log(`q: ${qRaw.join(",")}`);
 
   const q = qRaw.map((qi) => new Decimal(qi.toString()));
-  const quantityDec = new Decimal(body.quantity);
-  const costOutcomeWei = costToBuy(q, body.outcomeIndex, quantityDec, bParam);
+  const bParam = effectiveLiquidity(q, liquidity);
+  runtime.log(`${liquidity.model} bParameter: ${bParam.toString()} (source: ${resolved.source})`);
 
-  const outcomeDecimals = config.conventions?.outcomeTokenDecimals ?? 6;
-  const usdcDecimals = config.conventions?.usdcDecimals ?? 6;
-  const tradeCostUsdcBigInt = costToUsdcUnits(costOutcomeWei, outcomeDecimals, usdcDecimals);
+  let quantityBigInt: bigint;
+  let tradeCostUsdcBigInt: bigint;
+  if (body.budgetUsdc != null) {
+    // Budget quoting: buy = largest quantity whose cost fits; sell = smallest quantity whose refund reaches the target.
+    const budget = BigInt(body.budgetUsdc);
+    const solved = body.buy
+      ? quantityForBudget(q, body.outcomeIndex, budget, liquidity, outcomeDecimals, usdcDecimals)
+      : quantityForSellTarget(q, body.outcomeIndex, budget, liquidity, outcomeDecimals, usdcDecimals);
+    quantityBigInt = BigInt(solved.quantity.toFixed(0));
+    tradeCostUsdcBigInt = solved.costUsdc;
+    runtime.log(`Solved quantity ${quantityBigInt} for budgetUsdc ${budget} (cost ${tradeCostUsdcBigInt}).`);
+  } else {
+    quantityBigInt = BigInt(body.quantity);
+    tradeCostUsdcBigInt = tradeCostUsdc(
+      q,
+      body.outcomeIndex,
+      new Decimal(body.quantity),
+      body.buy,
+      liquidity,
+      outcomeDecimals,
+      usdcDecimals
+    );
+  }
+
+  const impact = tradeImpact(
+    q,
+    body.outcomeIndex,
+    new Decimal(quantityBigInt.toString()),
+    body.buy,
+    tradeCostUsdcBigInt,
+    liquidity,
+    outcomeDecimals,
+    usdcDecimals
+  );
+  const slippageBps = body.slippageBps ?? 0;
+  const maxCostUsdc = slippageLimitUsdc(tradeCostUsdcBigInt, slippageBps, body.buy);
 
   let nonce = randomNonce();
   const maxAttempts = 10;
@@ -127,8 +199,8 @@ export async function handleLmsrPricing(
     {
       questionId,
       outcomeIndex: body.outcomeIndex,
-      buy: true,
-      quantity: BigInt(body.quantity),
+      buy: body.buy,
+      quantity: quantityBigInt,
       tradeCostUsdc: tradeCostUsdcBigInt,
       nonce,
       deadline,
@@ -137,12 +209,82 @@ export async function handleLmsrPricing(
     privateKey
   );
 
-  runtime.log("LMSR quote signed successfully.");
+  runtime.log(`LMSR ${body.buy ? "buy" : "sell"} quote signed successfully.`);
   return {
     marketId: body.marketId,
+    buy: String(signed.buy),
+    quantity: signed.quantity,
+    ...(body.budgetUsdc != null ? { budgetUsdc: body.budgetUsdc } : {}),
+    ...liquidityFields(resolved, bParam),
     tradeCostUsdc: signed.tradeCostUsdc,
+    averageFillPrice: impact.averageFillPrice.toString(),
+    marginalPriceBefore: impact.marginalPriceBefore.toString(),
+    marginalPriceAfter: impact.marginalPriceAfter.toString(),
+    priceImpactBps: impact.priceImpactBps.toFixed(2),
+    slippageBps: String(slippageBps),
+    maxCostUsdc: maxCostUsdc.toString(),
     donSignature: signed.signature,
     deadline: signed.deadline,
     nonce: signed.nonce,
   };
 }
+
+/**
+ * Read-only LMSR state for a market: instantaneous price of every outcome (softmax of q/b under fixed b),
+ * total cost C(q) and worst-case loss b * ln(n) at the effective b. q is read from vault balances, same as lmsrPricing.
+ * Prices are decimal strings (sum to 1 under fixed b, slightly above 1 under LS-LMSR); totalCost and worstCaseLoss are in outcome-token units (same as q and b).
+ */
+export async function handleGetPrices(
+  runtime: Runtime<LmsrPricingHandlerConfig>,
+  payload: { input: Uint8Array }
+): Promise<LmsrPricesResponse> {
+  const config = runtime.config?.contracts;
+  if (!config) {
+    runtime.log("getPrices requires config.contracts");
+    throw new Error("Missing config.contracts");
+  }
+
+  const body = parseLmsrPricesPayload(payload.input);
+
+  const questionId = ensureQuestionIdBytes32(body.marketId);
+  const ctx = { runtime, config };
+
+  const market = await getMarket(ctx, questionId, { useLatestBlock: true });
+  if (market.outcomeSlotCount === 0) {
+    throw new CreError("MARKET_NOT_FOUND", "Market not found or invalid", { questionId });
+  }
+
+  const resolved = resolveLmsrLiquidity(
+    runtime,
+    {
+      lmsr: runtime.config?.lmsr,
+      backendUrl: runtime.config?.backendUrl,
+      outcomeTokenDecimals: config.conventions?.outcomeTokenDecimals ?? 6,
+      usdcDecimals: config.conventions?.usdcDecimals ?? 6,
+    },
+    questionId,
+    market.outcomeSlotCount,
+    body
+  );
+
+  const qRaw = getVaultBalances(ctx, market.conditionId, market.outcomeSlotCount);
+  const q = qRaw.map((qi) => new Decimal(qi.toString()));
+
+  const bParam = effectiveLiquidity(q, resolved.liquidity);
+  const prices = marginalPrices(q, resolved.liquidity);
+  const totalCost = costFunction(q, resolved.liquidity);
+  const maxLoss = worstCaseLoss(market.outcomeSlotCount, bParam);
+
+  runtime.log(`LMSR prices computed for ${market.outcomeSlotCount} outcomes.`);
+  return {
+    marketId: body.marketId,
+    questionId,
+    conditionId: market.conditionId,
+    outcomeSlotCount: String(market.outcomeSlotCount),
+    ...liquidityFields(resolved, bParam),
+    q: qRaw.map((qi) => qi.toString()),
+    prices: prices.map((p) => p.toString()),
+    totalCost: totalCost.toString(),
+    worstCaseLoss: maxLoss.toString(),
+  };
+}
@@ -2,10 +2,13 @@
  * Platform workflow: CRE actions for Sub0 and PredictionVault.
  * Trigger: Cron or HTTP. Uses env private key (CRE_ETH_PRIVATE_KEY) for writes.
  * - createMarket: Sub0 CRE 0x00. createMarket, resolveMarket, stake, redeem: Sub0 receiver.
+ * - prepareRedeem: read-only; the Redeem typed data and nonce the owner signs before redeem.
  * - seed, executeTrade: PredictionVault receiver.
+ * Write handlers take WriteHandlerOptions: under dryRun they return the report hex and pre-flight checks instead of writing.
  */
 
 import type { Runtime } from "@chainlink/cre-sdk";
+import { hashTypedData, recoverAddress } from "viem";
 import type { WorkflowConfig } from "../types/config";
 import type { OracleType, InvitationType } from "../types/market";
 import {
@@ -15,149 +18,129 @@ import {
   submitRedeem,
   computeQuestionId,
   getMarket,
+  getRedeemDigest,
+  getRedeemNonce,
+  getSub0Eip712Domain,
+  hashRedeemIndexSets,
   isMarketEmpty,
+  REDEEM_TYPES,
+  type RedeemMessage,
 } from "../lib/sub0";
 import { submitSeedMarketLiquidity } from "../lib/predictionVault";
+import { preflight } from "../lib/dryRun";
+import type { WriteHandlerOptions } from "../lib/dryRun";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { CreError } from "../lib/errors";
+import { confirmWrite, type WriteConfirmation } from "../lib/confirmation";
+import {
+  createMarketPayloadSchema,
+  getMarketPayloadSchema,
+  prepareRedeemPayloadSchema,
+  redeemPayloadSchema,
+  resolveMarketPayloadSchema,
+  seedPayloadSchema,
+  stakePayloadSchema,
+} from "../lib/actionSchemas";
 
 export interface CreateMarketPayload {
   question: string;
-  oracle: string;
+  oracle: `0x${string}`;
   duration: string | number;
   outcomeSlotCount: number;
   oracleType: OracleType; // 1=PLATFORM, 2=ARBITRATOR, 3=CUSTOM
   marketType: InvitationType; // 0=Single, 1=Group, 2=Public
   /** Creator address (msg.sender for create); required to compute questionId and return getMarket. */
-  creatorAddress: string;
+  creatorAddress: `0x${string}`;
   /** If set, seed workflow runs after create. */
   amountUsdc?: string;
 }
 
 export interface SeedLiquidityPayload {
-  questionId: string;
+  questionId: `0x${string}`;
   amountUsdc: string;
 }
 
 export interface GetMarketPayload {
-  questionId: string;
+  questionId: `0x${string}`;
 }
 
 export interface ResolveMarketPayload {
-  questionId: string;
+  questionId: `0x${string}`;
   payouts: string[];
-  oracle: string;
+  oracle: `0x${string}`;
 }
 
 export interface StakePayload {
-  questionId: string;
-  parentCollectionId: string;
-  partition: string[] | number[];
-  token: string;
+  questionId: `0x${string}`;
+  parentCollectionId: `0x${string}`;
+  partition: string[];
+  token: `0x${string}`;
   amount: string;
-  owner: string;
+  owner: `0x${string}`;
 }
 
 export interface RedeemPayload {
-  parentCollectionId: string;
-  conditionId: string;
-  indexSets: string[] | number[];
-  token: string;
-  owner: string;
+  parentCollectionId: `0x${string}`;
+  conditionId: `0x${string}`;
+  indexSets: string[];
+  token: `0x${string}`;
+  owner: `0x${string}`;
   deadline: string;
   nonce: string;
-  signature: string;
+  signature: `0x${string}`;
+}
+
+export interface PrepareRedeemPayload {
+  parentCollectionId: `0x${string}`;
+  conditionId: `0x${string}`;
+  indexSets: string[];
+  token: `0x${string}`;
+  owner: `0x${string}`;
+  deadline?: string;
 }
 
+/** prepareRedeem deadline when the body has none. */
+const DEFAULT_REDEEM_TTL_SECONDS = 3600n;
+
 function parseCreateMarketPayload(input: Uint8Array): CreateMarketPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  return {
-    question: String(raw.question ?? ""),
-    oracle: String(raw.oracle ?? ""),
-    duration: Number(raw.duration ?? 0),
-    outcomeSlotCount: Number(raw.outcomeSlotCount ?? 2),
-    oracleType: Number(raw.oracleType ?? 1) as OracleType,
-    marketType: Number(raw.marketType ?? 0) as InvitationType,
-    amountUsdc: raw.amountUsdc != null ? String(raw.amountUsdc) : undefined,
-    creatorAddress: String(raw.creatorAddress ?? ""),
-  };
+  return parseActionPayload("createMarket", createMarketPayloadSchema, input);
 }
 
 function parseSeedPayload(input: Uint8Array): SeedLiquidityPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  return {
-    questionId: String(raw.questionId ?? ""),
-    amountUsdc: String(raw.amountUsdc ?? "0"),
-  };
+  return parseActionPayload("seed", seedPayloadSchema, input);
 }
 
 function parseGetMarketPayload(input: Uint8Array): GetMarketPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  return {
-    questionId: String(raw.questionId ?? ""),
-  };
+  return parseActionPayload("getMarket", getMarketPayloadSchema, input);
 }
 
 function parseResolveMarketPayload(input: Uint8Array): ResolveMarketPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const payouts = raw.payouts as unknown;
-  return {
-    questionId: String(raw.questionId ?? ""),
-    payouts: Array.isArray(payouts) ? payouts.map((p) => String(p ?? "0")) : [],
-    oracle: String(raw.oracle ?? ""),
-  };
+  return parseActionPayload("resolveMarket", resolveMarketPayloadSchema, input);
 }
 
 function parseStakePayload(input: Uint8Array): StakePayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const partition = raw.partition as unknown;
-  return {
-    questionId: String(raw.questionId ?? ""),
-    parentCollectionId: String(raw.parentCollectionId ?? "0x0000000000000000000000000000000000000000000000000000000000000000"),
-    partition: Array.isArray(partition) ? partition : [],
-    token: String(raw.token ?? ""),
-    amount: String(raw.amount ?? "0"),
-    owner: String(raw.owner ?? ""),
-  };
+  return parseActionPayload("stake", stakePayloadSchema, input);
 }
 
 function parseRedeemPayload(input: Uint8Array): RedeemPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const indexSets = raw.indexSets as unknown;
-  return {
-    parentCollectionId: String(raw.parentCollectionId ?? ""),
-    conditionId: String(raw.conditionId ?? ""),
-    indexSets: Array.isArray(indexSets) ? indexSets : [],
-    token: String(raw.token ?? ""),
-    owner: String(raw.owner ?? ""),
-    deadline: String(raw.deadline ?? "0"),
-    nonce: String(raw.nonce ?? "0"),
-    signature: String(raw.signature ?? ""),
-  };
-}
-
-function toHex32(value: string): `0x${string}` {
-  const s = value.trim().toLowerCase();
-  if (s.startsWith("0x")) return s as `0x${string}`;
-  return `0x${s}` as `0x${string}`;
+  return parseActionPayload("redeem", redeemPayloadSchema, input);
 }
 
-function toAddress(value: string): `0x${string}` {
-  const s = value.trim();
-  if (s.startsWith("0x")) return s as `0x${string}`;
-  return `0x${s}` as `0x${string}`;
+function parsePrepareRedeemPayload(input: Uint8Array): PrepareRedeemPayload {
+  return parseActionPayload("prepareRedeem", prepareRedeemPayloadSchema, input);
 }
 
 /**
  * HTTP handler: create market onchain via Sub0.create(Market). Platform only; requires config.contracts and env key with GAME_CREATOR_ROLE for Public markets.
- * Response: when getMarket reads at last finalized block it will not see the just-submitted tx, so we fall back to payload-derived fields (question, oracle, owner, duration, etc.). Use sim-create-broadcast or --broadcast to send txs to the deployed contract.
+ * Safe to retry: if the computed questionId already has a market, that market is returned (existing: "true") and nothing is written.
+ * Response: the write is confirmed first (lib/confirmation.ts); the market is read at the finalized block once the tx is finalized and at the latest block otherwise, falling back to payload-derived fields (question, oracle, owner, duration, etc.) while it is still pending. Use sim-create-broadcast or --broadcast to send txs to the deployed contract.
  * Logging follows CRE bootcamp style for debugging (steps 1-6 in sub0.submitCreateMarket).
  */
-export async function handleCreateMarket(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array }): Promise<Record<string, string>> {
+export async function handleCreateMarket(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<Record<string, unknown>> {
   runtime.log("CRE Workflow: HTTP Trigger - Create Market (Sub0)");
 
   const config = runtime.config;
@@ -169,35 +152,35 @@ export async function handleCreateMarket(runtime: Runtime<WorkflowConfig>, paylo
 
   const body = parseCreateMarketPayload(payload.input);
   runtime.log(`[Request] question: "${body.question?.slice(0, 50)}${(body.question?.length ?? 0) > 50 ? "..." : ""}", oracle: ${body.oracle}, creator: ${body.creatorAddress}`);
-  if (!body.question?.trim()) throw new Error("question is required");
-  if (body.outcomeSlotCount < 2 || body.outcomeSlotCount > 255) throw new Error("outcomeSlotCount must be 2-255");
   const duration = Number(body.duration);
-  if (duration <= 0) throw new Error("duration must be positive");
-  const oracle = body.oracle.startsWith("0x") ? (body.oracle as `0x${string}`) : (`0x${body.oracle}` as `0x${string}`);
-  if (oracle.length !== 42) throw new Error("oracle must be a valid 20-byte address");
-
-  const creatorAddress = body.creatorAddress?.trim();
-  if (!creatorAddress) throw new Error("creatorAddress is required (address that signs create tx, e.g. CRE platform key)");
-  const creator = creatorAddress.startsWith("0x")
-    ? (creatorAddress as `0x${string}`)
-    : (`0x${creatorAddress}` as `0x${string}`);
-  if (creator.length !== 42) throw new Error("creatorAddress must be a valid 20-byte address");
+  const oracle = body.oracle;
+  const creator = body.creatorAddress;
 
   const questionId = computeQuestionId(body.question.trim(), creator, oracle);
+  const ctx = { runtime, config: contracts };
 
-  const createMarketTxHash = submitCreateMarket(runtime, contracts, {
-    question: body.question.trim(),
-    oracle,
-    owner: creator,
-    duration,
-    outcomeSlotCount: body.outcomeSlotCount,
-    oracleType: body.oracleType,
-    marketType: body.marketType,
-  });
-  if (createMarketTxHash) {
-    runtime.log(`Create market submitted. Transaction: ${createMarketTxHash}`);
+  /** Idempotent retry: questionId is derived from (question, creator, oracle), so a repeat finds the first write. */
+  const existing = await getMarket(ctx, questionId, { useLatestBlock: true });
+  const alreadyCreated = !isMarketEmpty(existing);
+
+  let createMarketTxHash = "";
+  if (alreadyCreated) {
+    runtime.log(`Market ${questionId} already exists; returning it without writing.`);
   } else {
-    runtime.log("Create market submitted (no tx hash; use --broadcast for real onchain write).");
+    createMarketTxHash = submitCreateMarket(runtime, contracts, {
+      question: body.question.trim(),
+      oracle,
+      owner: creator,
+      duration,
+      outcomeSlotCount: body.outcomeSlotCount,
+      oracleType: body.oracleType,
+      marketType: body.marketType,
+    }, options.dryRun);
+    if (createMarketTxHash) {
+      runtime.log(`Create market submitted. Transaction: ${createMarketTxHash}`);
+    } else {
+      runtime.log("Create market submitted (no tx hash; use --broadcast for real onchain write).");
+    }
   }
 
   let seedTxHash = "";
@@ -217,12 +200,14 @@ export async function handleCreateMarket(runtime: Runtime<WorkflowConfig>, paylo
   //   }
   // }
 
-  const ctx = { runtime, config: contracts };
-  let market: Awaited<ReturnType<typeof getMarket>> | undefined;
-  try {
-    market = await getMarket(ctx, questionId);
-  } catch {
-    market = undefined;
+  const confirmation: WriteConfirmation = confirmWrite(runtime, contracts, [createMarketTxHash], config.confirmation);
+  let market: Awaited<ReturnType<typeof getMarket>> | undefined = alreadyCreated ? existing : undefined;
+  if (!market) {
+    try {
+      market = await getMarket(ctx, questionId, { useLatestBlock: confirmation.status !== "finalized" });
+    } catch {
+      market = undefined;
+    }
   }
 
   const fromChain =
@@ -247,7 +232,8 @@ export async function handleCreateMarket(runtime: Runtime<WorkflowConfig>, paylo
   };
   if (createMarketTxHash) out.createMarketTxHash = createMarketTxHash;
   if (seedTxHash) out.seedTxHash = seedTxHash;
-  return out;
+  if (alreadyCreated) out.existing = "true";
+  return { ...out, confirmation };
 }
 
 /**
@@ -266,17 +252,7 @@ export async function handleGetMarket(
     throw new Error("Missing config.contracts for platform actions");
   }
 
-  const body = parseGetMarketPayload(payload.input);
-  const questionIdRaw = body.questionId?.trim();
-  if (!questionIdRaw) {
-    throw new Error("questionId is required");
-  }
-  const questionId = questionIdRaw.startsWith("0x")
-    ? (questionIdRaw as `0x${string}`)
-    : (`0x${questionIdRaw}` as `0x${string}`);
-  if (questionId.length !== 66) {
-    throw new Error("questionId must be a 32-byte hex string (0x + 64 hex chars)");
-  }
+  const { questionId } = parseGetMarketPayload(payload.input);
 
   const ctx = { runtime, config: contracts };
   const market = await getMarket(ctx, questionId, { useLatestBlock: true });
@@ -301,7 +277,11 @@ export async function handleGetMarket(
  * HTTP handler: seed market liquidity. Platform only; requires config.contracts and owner key.
  * Returns transaction hash when available.
  */
-export function handleSeedLiquidity(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array }): Record<string, string> {
+export async function handleSeedLiquidity(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<Record<string, string>> {
   const config = runtime.config;
   const contracts = config.contracts;
   if (!contracts) {
@@ -310,15 +290,15 @@ export function handleSeedLiquidity(runtime: Runtime<WorkflowConfig>, payload: {
   }
 
   const body = parseSeedPayload(payload.input);
-  const questionId = body.questionId.startsWith("0x")
-    ? (body.questionId as `0x${string}`)
-    : (`0x${body.questionId}` as `0x${string}`);
+  const questionId = body.questionId;
   const amountUsdc = BigInt(body.amountUsdc);
-  if (amountUsdc <= 0n) {
-    throw new Error("amountUsdc must be positive");
+
+  if (options.dryRun) {
+    const market = await getMarket({ runtime, config: contracts }, questionId, { useLatestBlock: true });
+    preflight(options.dryRun, "marketExists", !isMarketEmpty(market), `Market ${questionId} not found`, "MARKET_NOT_FOUND");
   }
 
-  const txHash = submitSeedMarketLiquidity(runtime, contracts, questionId, amountUsdc);
+  const txHash = submitSeedMarketLiquidity(runtime, contracts, questionId, amountUsdc, options.dryRun);
   runtime.log("Seed market liquidity submitted.");
   return { status: "ok", txHash: txHash ?? "" };
 }
@@ -327,20 +307,38 @@ export function handleSeedLiquidity(runtime: Runtime<WorkflowConfig>, payload: {
  * HTTP handler: resolve market via Sub0 CRE (0x01). Oracle must match market.
  * Payload: questionId, payouts (string[]), oracle.
  */
-export function handleResolveMarket(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array }): Record<string, string> {
+export async function handleResolveMarket(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<Record<string, string>> {
   const config = runtime.config;
   const contracts = config.contracts;
   if (!contracts) throw new Error("Missing config.contracts for platform actions");
 
   const body = parseResolveMarketPayload(payload.input);
-  const questionId = toHex32(body.questionId);
-  if (questionId.length !== 66) throw new Error("questionId must be 32-byte hex (0x + 64 chars)");
+  const { questionId, oracle } = body;
   const payouts = body.payouts.map((p) => BigInt(p));
-  if (payouts.length === 0) throw new Error("payouts array is required");
-  const oracle = toAddress(body.oracle);
-  if (oracle.length !== 42) throw new Error("oracle must be a valid 20-byte address");
 
-  const txHash = submitResolveMarket(runtime, contracts, { questionId, payouts, oracle });
+  if (options.dryRun) {
+    const market = await getMarket({ runtime, config: contracts }, questionId, { useLatestBlock: true });
+    const exists = !isMarketEmpty(market);
+    preflight(options.dryRun, "marketExists", exists, `Market ${questionId} not found`, "MARKET_NOT_FOUND");
+    preflight(
+      options.dryRun,
+      "oracleMatches",
+      exists && market.oracle.toLowerCase() === oracle.toLowerCase(),
+      `Oracle ${oracle} does not match market oracle ${market.oracle}`
+    );
+    preflight(
+      options.dryRun,
+      "payoutsLength",
+      exists && payouts.length === market.outcomeSlotCount,
+      `payouts has ${payouts.length} entries, market has ${market.outcomeSlotCount} outcomes`
+    );
+  }
+
+  const txHash = submitResolveMarket(runtime, contracts, { questionId, payouts, oracle }, options.dryRun);
   runtime.log("Resolve market submitted.");
   return { status: "ok", result: "resolveMarket", txHash: txHash ?? "" };
 }
@@ -349,21 +347,24 @@ export function handleResolveMarket(runtime: Runtime<WorkflowConfig>, payload: {
  * HTTP handler: stake via Sub0 CRE (0x02). Forwarder stakes on behalf of owner.
  * Payload: questionId, parentCollectionId, partition (number[]), token, amount, owner.
  */
-export function handleStake(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array }): Record<string, string> {
+export async function handleStake(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<Record<string, string>> {
   const config = runtime.config;
   const contracts = config.contracts;
   if (!contracts) throw new Error("Missing config.contracts for platform actions");
 
   const body = parseStakePayload(payload.input);
-  const questionId = toHex32(body.questionId);
-  if (questionId.length !== 66) throw new Error("questionId must be 32-byte hex");
-  const parentCollectionId = toHex32(body.parentCollectionId);
+  const { questionId, parentCollectionId, token, owner } = body;
   const partition = body.partition.map((p) => BigInt(p));
-  const token = toAddress(body.token);
   const amount = BigInt(body.amount);
-  if (amount <= 0n) throw new Error("amount must be positive");
-  const owner = toAddress(body.owner);
-  if (owner.length !== 42) throw new Error("owner must be a valid 20-byte address");
+
+  if (options.dryRun) {
+    const market = await getMarket({ runtime, config: contracts }, questionId, { useLatestBlock: true });
+    preflight(options.dryRun, "marketExists", !isMarketEmpty(market), `Market ${questionId} not found`, "MARKET_NOT_FOUND");
+  }
 
   const txHash = submitStake(runtime, contracts, {
     questionId,
@@ -372,31 +373,125 @@ export function handleStake(runtime: Runtime<WorkflowConfig>, payload: { input:
     token,
     amount,
     owner,
-  });
+  }, options.dryRun);
   runtime.log("Stake submitted.");
   return { status: "ok", result: "stake", txHash: txHash ?? "" };
 }
 
 /**
- * HTTP handler: redeem via Sub0 CRE (0x03). Owner must supply EIP-712 signature (getRedeemDigest + redeemNonce from contract).
+ * HTTP handler: typed data for the owner's Redeem signature. Reads the owner's redeemNonce and Sub0's EIP-712 domain,
+ * and checks the locally built hash against Sub0.getRedeemDigest so the caller never signs something redeem rejects.
+ * Payload: parentCollectionId, conditionId, indexSets, token, owner, optional deadline (unix seconds; default now + 1h).
+ */
+export function handlePrepareRedeem(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array }
+): Record<string, unknown> {
+  const contracts = runtime.config.contracts;
+  if (!contracts) throw new Error("Missing config.contracts for platform actions");
+  const ctx = { runtime, config: contracts };
+
+  const body = parsePrepareRedeemPayload(payload.input);
+  const now = BigInt(Math.floor(runtime.now().getTime() / 1000));
+  const deadline = body.deadline != null ? BigInt(body.deadline) : now + DEFAULT_REDEEM_TTL_SECONDS;
+  if (deadline <= now) {
+    throw new CreError("VALIDATION_FAILED", `Redeem deadline ${deadline} has passed`, { deadline: String(deadline) });
+  }
+  const message: RedeemMessage = {
+    parentCollectionId: body.parentCollectionId,
+    conditionId: body.conditionId,
+    indexSetsHash: hashRedeemIndexSets(body.indexSets.map((i) => BigInt(i))),
+    token: body.token,
+    deadline,
+    nonce: getRedeemNonce(ctx, body.owner),
+  };
+  const domain = getSub0Eip712Domain(ctx);
+  const digest = getRedeemDigest(ctx, message);
+  const localDigest = hashTypedData({ domain, types: REDEEM_TYPES, primaryType: "Redeem", message });
+  if (localDigest !== digest) {
+    throw new CreError("PRECONDITION_FAILED", "Redeem typed data does not hash to Sub0.getRedeemDigest", {
+      digest,
+      localDigest,
+    });
+  }
+
+  runtime.log(`Prepared redeem for ${body.owner} (nonce ${message.nonce}).`);
+  return {
+    status: "ok",
+    result: "prepareRedeem",
+    owner: body.owner,
+    indexSets: body.indexSets,
+    nonce: String(message.nonce),
+    deadline: String(deadline),
+    digest,
+    typedData: {
+      domain: { ...domain, chainId: Number(domain.chainId) },
+      types: REDEEM_TYPES,
+      primaryType: "Redeem",
+      message: { ...message, deadline: String(deadline), nonce: String(message.nonce) },
+    },
+  };
+}
+
+/** Signer of a Redeem digest, or undefined when the signature is malformed. */
+async function recoverRedeemSigner(digest: `0x${string}`, signature: `0x${string}`): Promise<string | undefined> {
+  try {
+    return await recoverAddress({ hash: digest, signature });
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * HTTP handler: redeem via Sub0 CRE (0x03). Owner must supply EIP-712 signature (see prepareRedeem).
+ * Before the report is sent: nonce equals redeemNonce(owner), deadline is in the future and the signature over
+ * Sub0.getRedeemDigest recovers to owner, so a bad signature fails here instead of reverting on-chain.
  * Payload: parentCollectionId, conditionId, indexSets, token, owner, deadline, nonce, signature.
  */
-export function handleRedeem(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array }): Record<string, string> {
+export async function handleRedeem(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+): Promise<Record<string, string>> {
   const config = runtime.config;
   const contracts = config.contracts;
   if (!contracts) throw new Error("Missing config.contracts for platform actions");
+  const ctx = { runtime, config: contracts };
 
   const body = parseRedeemPayload(payload.input);
-  const parentCollectionId = toHex32(body.parentCollectionId);
-  const conditionId = toHex32(body.conditionId);
+  const { parentCollectionId, conditionId, token, owner, signature } = body;
   const indexSets = body.indexSets.map((i) => BigInt(i));
-  const token = toAddress(body.token);
-  const owner = toAddress(body.owner);
-  if (owner.length !== 42) throw new Error("owner must be a valid 20-byte address");
   const deadline = BigInt(body.deadline);
   const nonce = BigInt(body.nonce);
-  const signature = body.signature.startsWith("0x") ? (body.signature as `0x${string}`) : (`0x${body.signature}` as `0x${string}`);
-  if (!signature || signature.length < 10) throw new Error("signature is required (EIP-712 Redeem from owner)");
+
+  const expectedNonce = getRedeemNonce(ctx, owner);
+  preflight(
+    options.dryRun,
+    "redeemNonce",
+    nonce === expectedNonce,
+    `Redeem nonce ${nonce} is not the owner's current nonce ${expectedNonce}`,
+    "NONCE_USED"
+  );
+  const now = BigInt(Math.floor(runtime.now().getTime() / 1000));
+  preflight(options.dryRun, "deadline", deadline > now, `Redeem deadline ${deadline} has passed`);
+  const digest = getRedeemDigest(ctx, {
+    parentCollectionId,
+    conditionId,
+    indexSetsHash: hashRedeemIndexSets(indexSets),
+    token,
+    deadline,
+    nonce,
+  });
+  const signer = await recoverRedeemSigner(digest, signature);
+  preflight(
+    options.dryRun,
+    "signature",
+    signer?.toLowerCase() === owner.toLowerCase(),
+    signer
+      ? `Redeem signature recovers to ${signer}, not owner ${owner}`
+      : "Redeem signature could not be recovered",
+    "VALIDATION_FAILED"
+  );
 
   const txHash = submitRedeem(runtime, contracts, {
     parentCollectionId,
@@ -407,7 +502,7 @@ export function handleRedeem(runtime: Runtime<WorkflowConfig>, payload: { input:
     deadline,
     nonce,
     signature,
-  });
+  }, options.dryRun);
   runtime.log("Redeem submitted.");
   return { status: "ok", result: "redeem", txHash: txHash ?? "" };
 }
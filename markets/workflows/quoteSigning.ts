@@ -2,33 +2,36 @@
  * Quote/buy/sell: sign LMSR quote for PredictionVault.executeTrade.
  * Supports single trade (userSignature) or batch (trades[]). When user sig(s) provided, CRE adds DON
  * signature and submits via writeReport (one report per trade). Otherwise returns DON-signed quote only.
+ * Every tradeCostUsdc is re-priced with LMSR against vault balances before the DON signs it; quotes off by more
+ * than config.lmsr.quoteToleranceBps are rejected.
  */
 
 import type { Runtime } from "@chainlink/cre-sdk";
+import Decimal from "decimal.js";
 import type { Hex } from "viem";
 import { recoverTypedDataAddress, zeroAddress } from "viem";
 import type { WorkflowConfig } from "../types/config";
 import type { BatchTradeItem } from "../types/quote";
-import { signDONQuote, getNonceUsed, submitExecuteTrade } from "../lib/predictionVault";
+import { signDONQuote, getNonceUsed, submitExecuteTrade, USER_TRADE_TYPES } from "../lib/predictionVault";
 import { getMarket, ensureQuestionIdBytes32 } from "../lib/sub0";
-import { getVaultBalanceForOutcome } from "../lib/ctf";
+import { getVaultBalanceForOutcome, getVaultBalances } from "../lib/ctf";
+import { tradeCostUsdc as lmsrTradeCostUsdc, withinToleranceBps } from "../lib/lmsrMath";
+import type { LmsrLiquidity } from "../lib/lmsrMath";
+import { resolveLmsrLiquidity } from "../lib/lmsrParams";
+import type { RequestedLmsrLiquidity } from "../lib/lmsrParams";
+import type { Sub0Market } from "../types/market";
+import { preflight } from "../lib/dryRun";
+import type { WriteHandlerOptions } from "../lib/dryRun";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { quotePayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
 
 const SECRET_ID = "BACKEND_SIGNER_PRIVATE_KEY";
 
-/** UserTrade: USER_TRADE_TYPEHASH. User signs (marketId, outcomeIndex, buy, quantity, maxCostUsdc, nonce, deadline). */
-const USER_TRADE_TYPES = {
-  UserTrade: [
-    { name: "marketId", type: "bytes32" },
-    { name: "outcomeIndex", type: "uint256" },
-    { name: "buy", type: "bool" },
-    { name: "quantity", type: "uint256" },
-    { name: "maxCostUsdc", type: "uint256" },
-    { name: "nonce", type: "uint256" },
-    { name: "deadline", type: "uint256" },
-  ],
-};
+/** Allowed deviation of a caller tradeCostUsdc from the LMSR price when config.lmsr.quoteToleranceBps is unset. */
+const DEFAULT_QUOTE_TOLERANCE_BPS = 50;
 
-export interface QuoteRequestPayload {
+export interface QuoteRequestPayload extends RequestedLmsrLiquidity {
   questionId: string;
   conditionId: string;
   outcomeIndex: number;
@@ -45,12 +48,6 @@ export interface QuoteRequestPayload {
   trades?: BatchTradeItem[];
 }
 
-function normalizeSignature(sig: unknown): string | undefined {
-  if (typeof sig !== "string" || sig.trim().length === 0) return undefined;
-  const s = sig.trim();
-  return s.startsWith("0x") ? s : `0x${s}`;
-}
-
 /** Convert string to integer string for BigInt. Decimals (e.g. "22.6") are expanded by 10^decimals; no decimals = truncate. */
 function toIntegerString(s: string, decimals?: number): string {
   const t = String(s ?? "").trim();
@@ -67,51 +64,82 @@ function toIntegerString(s: string, decimals?: number): string {
 
 const USDC_DECIMALS = 6;
 
-function parseTradeItem(raw: unknown): BatchTradeItem | null {
-  if (raw == null || typeof raw !== "object") return null;
-  const o = raw as Record<string, unknown>;
-  const userSignature = normalizeSignature(o.userSignature);
-  if (!userSignature) return null;
-  const tradeCostUsdc = String(o.tradeCostUsdc ?? "0");
+function parsePayload(input: Uint8Array): QuoteRequestPayload {
+  return parseActionPayload("order", quotePayloadSchema, input);
+}
+
+/** On-chain LMSR state the caller's tradeCostUsdc is checked against. q advances as batch fills are submitted. */
+interface FairPriceContext {
+  q: Decimal[];
+  liquidity: LmsrLiquidity;
+  toleranceBps: number;
+  outcomeTokenDecimals: number;
+  usdcDecimals: number;
+}
+
+function loadFairPriceContext(
+  runtime: Runtime<WorkflowConfig>,
+  questionId: `0x${string}`,
+  market: Sub0Market,
+  body: QuoteRequestPayload
+): FairPriceContext {
+  const contracts = runtime.config.contracts!;
+  const outcomeTokenDecimals = contracts.conventions?.outcomeTokenDecimals ?? 6;
+  const usdcDecimals = contracts.conventions?.usdcDecimals ?? USDC_DECIMALS;
+  const { liquidity, source } = resolveLmsrLiquidity(
+    runtime,
+    { lmsr: runtime.config.lmsr, backendUrl: runtime.config.backendUrl, outcomeTokenDecimals, usdcDecimals },
+    questionId,
+    market.outcomeSlotCount,
+    body
+  );
+  const qRaw = getVaultBalances({ runtime, config: contracts }, market.conditionId, market.outcomeSlotCount);
+  runtime.log(`LMSR check: ${liquidity.model} (source: ${source}), q: ${qRaw.join(",")}`);
   return {
-    userSignature,
-    quantity: String(o.quantity ?? "0"),
-    tradeCostUsdc,
-    maxCostUsdc: o.maxCostUsdc != null ? String(o.maxCostUsdc) : undefined,
-    nonce: String(o.nonce ?? "0"),
-    deadline: String(o.deadline ?? "0"),
+    q: qRaw.map((qi) => new Decimal(qi.toString())),
+    liquidity,
+    toleranceBps: runtime.config.lmsr?.quoteToleranceBps ?? DEFAULT_QUOTE_TOLERANCE_BPS,
+    outcomeTokenDecimals,
+    usdcDecimals,
   };
 }
 
-function parsePayload(input: Uint8Array): QuoteRequestPayload {
-  const text = new TextDecoder().decode(input);
-  const raw = JSON.parse(text) as Record<string, unknown>;
-  const tradesRaw = raw.trades;
-  const trades: BatchTradeItem[] = [];
-  if (Array.isArray(tradesRaw)) {
-    for (const item of tradesRaw) {
-      const t = parseTradeItem(item);
-      if (t) trades.push(t);
-    }
+/** Throws when tradeCostUsdc is further from the LMSR price at fair.q than the tolerance allows. */
+function assertFairTradeCost(
+  fair: FairPriceContext,
+  outcomeIndex: number,
+  buy: boolean,
+  quantity: bigint,
+  tradeCostUsdc: bigint
+): void {
+  const expected = lmsrTradeCostUsdc(
+    fair.q,
+    outcomeIndex,
+    new Decimal(quantity.toString()),
+    buy,
+    fair.liquidity,
+    fair.outcomeTokenDecimals,
+    fair.usdcDecimals
+  );
+  if (!withinToleranceBps(tradeCostUsdc, expected, fair.toleranceBps)) {
+    throw new CreError(
+      "PRECONDITION_FAILED",
+      `tradeCostUsdc ${tradeCostUsdc} deviates from LMSR ${buy ? "cost" : "refund"} ${expected} by more than ${fair.toleranceBps} bps`
+    );
   }
-  const userSig = raw.userSignature;
-  const tradeCostUsdc = String(raw.tradeCostUsdc ?? "0");
-  return {
-    questionId: String(raw.questionId ?? ""),
-    conditionId: (raw.conditionId != null ? String(raw.conditionId) : "") as `0x${string}`,
-    outcomeIndex: Number(raw.outcomeIndex ?? 0),
-    buy: Boolean(raw.buy),
-    quantity: String(raw.quantity ?? "0"),
-    tradeCostUsdc,
-    maxCostUsdc: raw.maxCostUsdc != null ? String(raw.maxCostUsdc) : undefined,
-    nonce: String(raw.nonce ?? "0"),
-    deadline: String(raw.deadline ?? "0"),
-    userSignature: normalizeSignature(userSig) ?? undefined,
-    trades: trades.length > 0 ? trades : undefined,
-  };
 }
 
-export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, payload: { input: Uint8Array })
+/** Apply a submitted fill to q so the next batch item is priced after it. */
+function applyFill(fair: FairPriceContext, outcomeIndex: number, buy: boolean, quantity: bigint): void {
+  const x = new Decimal(quantity.toString());
+  fair.q[outcomeIndex] = buy ? fair.q[outcomeIndex].plus(x) : fair.q[outcomeIndex].minus(x);
+}
+
+export async function handleQuoteSigning(
+  runtime: Runtime<WorkflowConfig>,
+  payload: { input: Uint8Array },
+  options: WriteHandlerOptions = {}
+)
 // : Promise<unknown>
 {
   const config = runtime.config;
@@ -123,18 +151,20 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
   runtime.log(`collectionId: ${payload.input}`);
   const body = parsePayload(payload.input);
   runtime.log(`body: ${JSON.stringify(body)}`);
-  if (!body.questionId?.trim()) {
-    throw new Error("questionId is required (32-byte hex)");
-  }
   const questionId = ensureQuestionIdBytes32(body.questionId);
 
   const ctx = { runtime, config: contracts };
 
   const market = await getMarket(ctx, questionId, { useLatestBlock: true });
+  const marketExists = market.outcomeSlotCount > 0;
+  preflight(options.dryRun, "marketExists", marketExists, "Market not found or invalid", "MARKET_NOT_FOUND");
+  if (!marketExists) return { questionId, users: [] };
   if (body.outcomeIndex >= market.outcomeSlotCount) {
-    throw new Error("Outcome index out of range");
+    throw new CreError("VALIDATION_FAILED", "Outcome index out of range", { outcomeIndex: body.outcomeIndex });
   }
 
+  const fair = loadFairPriceContext(runtime, questionId, market, body);
+
   const secret = runtime.getSecret({ id: SECRET_ID }).result();
   const privateKey = secret.value ?? "";
   if (!privateKey) {
@@ -155,7 +185,10 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
       const item = body.trades[i]!;
       try {
         const nonce = BigInt(item.nonce);
-        if (getNonceUsed(runtime, contracts, questionId, nonce)) {
+        const nonceUnused = !getNonceUsed(runtime, contracts, questionId, nonce);
+        if (options.dryRun) {
+          preflight(options.dryRun, `trade[${i}].nonceUnused`, nonceUnused, `trade[${i}]: nonce already used`);
+        } else if (!nonceUnused) {
           errors.push(`trade[${i}]: nonce already used`);
           continue;
         }
@@ -173,6 +206,13 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
         const quantityBig = item.quantity;
         const tradeCostBig = item.tradeCostUsdc;
         const maxCostBig = Number(item.maxCostUsdc);
+        assertFairTradeCost(
+          fair,
+          body.outcomeIndex,
+          body.buy,
+          BigInt(toIntegerString(quantityBig)),
+          BigInt(toIntegerString(tradeCostBig, USDC_DECIMALS))
+        );
         runtime.log(`quantityBig: ${quantityBig}`);
         runtime.log(`tradeCostBig: ${tradeCostBig}`);
         runtime.log(`maxCostBig: ${maxCostBig}`);
@@ -229,9 +269,11 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
           maxCostBig,
           user,
           donSignature,
-          item.userSignature as Hex
+          item.userSignature as Hex,
+          options.dryRun
         );
         txHashes.push(txHash);
+        applyFill(fair, body.outcomeIndex, body.buy, BigInt(toIntegerString(quantityBig)));
       } catch (err) {
         errors.push(`trade[${i}]: ${err instanceof Error ? err.message : String(err)}`);
       }
@@ -241,9 +283,13 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
   }
 
   const nonce = BigInt(body.nonce);
-  if (getNonceUsed(runtime, contracts, questionId, nonce)) {
-    throw new Error("Nonce already used");
-  }
+  preflight(
+    options.dryRun,
+    "nonceUnused",
+    !getNonceUsed(runtime, contracts, questionId, nonce),
+    "Nonce already used",
+    "NONCE_USED"
+  );
   // if (body.buy) {
   // const balance = getVaultBalanceForOutcome(ctx, body.conditionId as `0x${string}`, body.outcomeIndex);
   // if (balance < BigInt(body.quantity)) {
@@ -258,6 +304,7 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
   const tradeCostBig = BigInt(costStr);
   const maxCostBig = BigInt(maxCostStr);
   const deadlineBig = BigInt(body.deadline);
+  assertFairTradeCost(fair, body.outcomeIndex, body.buy, quantityBig, tradeCostBig);
   const domain = {
     name: contracts.eip712.domainName,
     version: contracts.eip712.domainVersion,
@@ -282,7 +329,7 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
       signature: body.userSignature as Hex,
     });
     if (!user || typeof user !== "string" || !user.startsWith("0x")) {
-      throw new Error("Failed to recover user address from UserTrade signature");
+      throw new CreError("VALIDATION_FAILED", "Failed to recover user address from UserTrade signature");
     }
     users.push(user);
     runtime.log(`User address: ${user}`);
@@ -317,7 +364,8 @@ export async function handleQuoteSigning(runtime: Runtime<WorkflowConfig>, paylo
       maxCostBig,
       user,
       donSignature,
-      body.userSignature as Hex
+      body.userSignature as Hex,
+      options.dryRun
     );
     runtime.log("Execute trade submitted via writeReport (user + DON signatures).");
     return { questionId, users, outcomeIndex: body.outcomeIndex, buy: body.buy, quantity: body.quantity, tradeCostUsdc: body.tradeCostUsdc, nonce: body.nonce, deadline: body.deadline, txHash };
@@ -0,0 +1,45 @@
+/**
+ * Resolution watcher: EVM log trigger handler for CTF ConditionResolution. Markets resolved outside runSettlement
+ * (resolveMarket, an arbitrator, a direct Sub0.resolve) would otherwise stay OPEN in the backend. The event's
+ * questionId is read back from Sub0 and kept only when that market's conditionId matches, so conditions prepared by
+ * other oracles on the same CTF are ignored. The backend gets the same settlement/resolved call as runSettlement
+ * Step 6, without marketId; a runSettlement resolution is reported twice, so the backend should treat it as idempotent.
+ */
+
+import type { EVMLog, Runtime } from "@chainlink/cre-sdk";
+import { bytesToHex, type Hex } from "viem";
+import type { WorkflowConfig } from "../types/config";
+import { decodeConditionResolutionLog } from "../lib/ctf";
+import { getMarket } from "../lib/sub0";
+import { notifySettlementResolved } from "./runSettlement";
+
+export async function handleConditionResolutionLog(runtime: Runtime<WorkflowConfig>, log: EVMLog): Promise<string> {
+  const topics = log.topics.map((t: Uint8Array) => bytesToHex(t) as Hex);
+  const event = decodeConditionResolutionLog(topics, bytesToHex(log.data));
+  if (!event) {
+    runtime.log(`CTF log ignored: topic0 ${topics[0] ?? "(none)"} is not ConditionResolution.`);
+    return "ignored";
+  }
+  const contracts = runtime.config.contracts;
+  if (!contracts) {
+    runtime.log("ConditionResolution ignored: config.contracts not set.");
+    return "ignored";
+  }
+
+  const market = await getMarket({ runtime, config: contracts }, event.questionId, { useLatestBlock: true });
+  if (market.conditionId.toLowerCase() !== event.conditionId.toLowerCase()) {
+    runtime.log(`ConditionResolution ignored: condition ${event.conditionId} is not a Sub0 market.`);
+    return "ignored";
+  }
+
+  const txHash = bytesToHex(log.txHash);
+  runtime.log(`Condition ${event.conditionId} resolved for market ${event.questionId} (tx ${txHash}).`);
+  const notified = notifySettlementResolved(runtime, {
+    questionId: event.questionId,
+    conditionId: event.conditionId,
+    payouts: event.payoutNumerators.map(String),
+    txHash,
+    logIndex: log.index,
+  });
+  return notified ? "resolved" : "notifyFailed";
+}
@@ -15,6 +15,10 @@ import { encodeAbiParameters, parseAbiParameters, getFunctionSelector } from "vi
 import type { Runtime } from "@chainlink/cre-sdk";
 import type { WorkflowConfig } from "../types/config";
 import { sendConfidentialBackendRequest } from "../lib/confidentialHttp";
+import { parseActionPayload } from "../lib/payloadValidation";
+import { runSettlementPayloadSchema } from "../lib/actionSchemas";
+import { CreError } from "../lib/errors";
+import { diagnoseReceiverRevert } from "../lib/diagnostics";
 
 const SETTLEMENT_RUN_PATH = "/api/internal/settlement/run";
 const SETTLEMENT_RESOLVED_PATH = "/api/internal/settlement/resolved";
@@ -29,6 +33,44 @@ function encodeSettlementReport(questionId: `0x${string}`, payouts: string[]): `
   return encodeAbiParameters(SETTLEMENT_REPORT_PARAMS, [questionIdBytes32, payoutsBigInt]);
 }
 
+/** Body of POST /api/internal/settlement/resolved. marketId is only known when the resolution came from runSettlement. */
+export interface SettlementResolvedNotice {
+  marketId?: string;
+  questionId: string;
+  txHash: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Tell the backend a market is resolved so it leaves OPEN. Used by runSettlement (Step 6) and the ConditionResolution
+ * watcher (workflows/resolutionWatcher.ts). Never throws: a failed callback is logged and reported as false.
+ */
+export function notifySettlementResolved(runtime: Runtime<WorkflowConfig>, notice: SettlementResolvedNotice): boolean {
+  const backendUrl = runtime.config.backendUrl?.trim();
+  if (!backendUrl) {
+    runtime.log("Backend resolved callback skipped: config.backendUrl not set.");
+    return false;
+  }
+  const resolvedUrl = `${backendUrl.replace(/\/$/, "")}${SETTLEMENT_RESOLVED_PATH}`;
+  try {
+    const resolvedRes = sendConfidentialBackendRequest(runtime, {
+      url: resolvedUrl,
+      method: "POST",
+      body: new TextEncoder().encode(JSON.stringify(notice)),
+    });
+    if (resolvedRes?.statusCode >= 200 && resolvedRes.statusCode < 300) {
+      runtime.log(`Backend marked market ${notice.questionId} RESOLVED.`);
+      return true;
+    }
+    runtime.log(
+      `Backend resolved callback returned ${resolvedRes?.statusCode ?? "?"}; market may still be OPEN in DB.`
+    );
+  } catch (err) {
+    runtime.log(`Backend resolved callback failed: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  return false;
+}
+
 export interface RunSettlementPayload {
   marketId: string;
   questionId: string;
@@ -48,19 +90,12 @@ export async function handleRunSettlement(
     throw new Error("runSettlement requires config.contracts.agentSettlementReceiver");
   }
 
-  const text = new TextDecoder().decode(payload.input);
-  const body = JSON.parse(text) as Record<string, unknown>;
-  const marketId = String(body.marketId ?? "").trim();
-  const questionIdRaw = String(body.questionId ?? "").trim();
-  const questionId = questionIdRaw.startsWith("0x") ? (questionIdRaw as `0x${string}`) : (`0x${questionIdRaw}` as `0x${string}`);
-  if (!marketId || !questionIdRaw) {
-    throw new Error("runSettlement body must include marketId and questionId (onchain bytes32 hex)");
-  }
+  const { marketId, questionId } = parseActionPayload("runSettlement", runSettlementPayloadSchema, payload.input);
 
   const runUrl = `${backendUrl.replace(/\/$/, "")}${SETTLEMENT_RUN_PATH}`;
   runtime.log("Calling backend settlement run (confidential HTTP).");
 
-  const runBody = new TextEncoder().encode(JSON.stringify({ marketId, questionId: questionIdRaw }));
+  const runBody = new TextEncoder().encode(JSON.stringify({ marketId, questionId }));
   const res = sendConfidentialBackendRequest(runtime, {
     url: runUrl,
     method: "POST",
@@ -69,7 +104,9 @@ export async function handleRunSettlement(
 
   if (res.statusCode < 200 || res.statusCode >= 300) {
     const bodyText = new TextDecoder().decode(res.body);
-    throw new Error(`Backend settlement run failed: ${res.statusCode} ${bodyText}`);
+    throw new CreError("UPSTREAM_FAILED", `Backend settlement run failed: ${res.statusCode} ${bodyText}`, {
+      statusCode: res.statusCode,
+    });
   }
 
   const resBody = JSON.parse(new TextDecoder().decode(res.body)) as {
@@ -137,10 +174,24 @@ export async function handleRunSettlement(
   );
 
   if (writeResult.txStatus !== TxStatus.SUCCESS) {
-    throw new Error(`Settlement writeReport failed with status: ${writeResult.txStatus}`);
+    throw new CreError("TX_FAILED", `Settlement writeReport failed with status: ${writeResult.txStatus}`, {
+      txStatus: String(writeResult.txStatus),
+    });
   }
   if (writeResult.receiverContractExecutionStatus === RECEIVER_EXECUTION_REVERTED) {
-    throw new Error("Settlement: forwarder tx succeeded but receiver reverted. Check questionId and oracle.");
+    /** No receiver ABI in lib/abi: only Error(string), Panic and forwarder errors decode. */
+    const diagnosis = diagnoseReceiverRevert(
+      runtime,
+      contracts.chainSelectorName,
+      receiverAddress,
+      [],
+      reportResponse.x_generatedCodeOnly_unwrap().rawReport
+    );
+    throw new CreError(
+      "RECEIVER_REVERTED",
+      `Settlement: forwarder tx succeeded but receiver reverted: ${diagnosis.reason}`,
+      { questionId, receiver: receiverAddress, ...diagnosis }
+    );
   }
   const rawHash = writeResult.txHash;
   const txHash =
@@ -150,33 +201,14 @@ export async function handleRunSettlement(
         : bytesToHex(rawHash)
       : "";
 
-  const resolvedUrl = `${backendUrl.replace(/\/$/, "")}${SETTLEMENT_RESOLVED_PATH}`;
   runtime.log("[Step 6] Notifying backend market resolved (confidential HTTP).");
-  try {
-    const resolvedBody = new TextEncoder().encode(
-      JSON.stringify({ marketId, questionId: questionIdRaw, txHash })
-    );
-    const resolvedRes = sendConfidentialBackendRequest(runtime, {
-      url: resolvedUrl,
-      method: "POST",
-      body: resolvedBody,
-    });
-    if (resolvedRes?.statusCode >= 200 && resolvedRes.statusCode < 300) {
-      runtime.log("[Step 6] Backend marked market RESOLVED.");
-    } else {
-      runtime.log(
-        `[Step 6] Backend resolved callback returned ${resolvedRes?.statusCode ?? "?"}; market may still be OPEN in DB.`
-      );
-    }
-  } catch (err) {
-    runtime.log(`[Step 6] Backend resolved callback failed: ${err instanceof Error ? err.message : String(err)}`);
-  }
+  notifySettlementResolved(runtime, { marketId, questionId, txHash });
 
   return {
     status: "ok",
     result: "runSettlement",
     canResolve: "true",
-    questionId: questionIdRaw,
+    questionId,
     txHash,
   };
 }
@@ -0,0 +1,44 @@
+/**
+ * PredictionVault event indexer: EVM log trigger handler for TradeExecuted, MarketRegistered and
+ * MarketLiquiditySeeded. Each log is decoded and POSTed to the backend (postCreResultToBackend) so trade fills and
+ * new markets are pushed instead of polled. txHash + logIndex identify a log; the backend should dedupe on them
+ * because a DON may deliver the same log more than once.
+ */
+
+import { ConfidentialHTTPClient, type EVMLog, type Runtime } from "@chainlink/cre-sdk";
+import { bytesToHex, type Hex } from "viem";
+import type { WorkflowConfig } from "../types/config";
+import { decodePredictionVaultLog, type IndexedVaultEventName } from "../lib/predictionVault";
+import { postCreResultToBackend } from "../lib/creBackendPost";
+
+/** Backend path each event is POSTed to. */
+export const VAULT_EVENT_CALLBACK_PATHS: Record<IndexedVaultEventName, string> = {
+  TradeExecuted: "/api/cre/trade-executed",
+  MarketRegistered: "/api/cre/market-registered",
+  MarketLiquiditySeeded: "/api/cre/market-liquidity-seeded",
+};
+
+export function handleVaultLog(runtime: Runtime<WorkflowConfig>, log: EVMLog): string {
+  const topics = log.topics.map((t: Uint8Array) => bytesToHex(t) as Hex);
+  const event = decodePredictionVaultLog(topics, bytesToHex(log.data));
+  if (!event) {
+    runtime.log(`Vault log ignored: topic0 ${topics[0] ?? "(none)"} is not an indexed event.`);
+    return "ignored";
+  }
+
+  const body = {
+    ...event,
+    contract: bytesToHex(log.address),
+    txHash: bytesToHex(log.txHash),
+    logIndex: log.index,
+  };
+  runtime.log(`Vault event ${event.event} for ${event.questionId} (tx ${body.txHash}).`);
+  postCreResultToBackend(
+    runtime,
+    new ConfidentialHTTPClient(),
+    runtime.config,
+    VAULT_EVENT_CALLBACK_PATHS[event.event],
+    body
+  );
+  return event.event;
+}